@@ -5,7 +5,17 @@ import {
   resign,
   offerDraw,
   acceptDraw,
-  declineDraw
+  declineDraw,
+  requestTakeback,
+  acceptTakeback,
+  declineTakeback,
+  getGameSync,
+  forfeitByAbandonment,
+  getParticipantRole,
+  setPremove,
+  cancelPremove,
+  withoutPremoves,
+  finishLinkedBoard
 } from "../controllers/game.controller.js";
 import {
   joinQueue,
@@ -13,21 +23,53 @@ import {
   handleDisconnect,
 } from "../controllers/matchmaking.controller.js";
 import { createTournament, getActiveTournamentDetails, joinTournament, leaveTournament } from "../controllers/tournament.controller.js";
-import tournamentModel from "../models/tournament.model.js";
-import UserModel from "../models/User.model.js";
+import { getSessionById, isCorrespondenceSession, onSessionCreated } from "../controllers/session.controller.js";
+import { recordGameResult } from "../controllers/result.controller.js";
+import { setClockHandlers, startClock, cancelClock, isClockScheduled } from "../controllers/clock.controller.js";
+import { markConnected, markDisconnected, clearPresence } from "../controllers/presence.controller.js";
+import { socketAuth } from "../middlewares/auth.middleware.js";
+import { getChatName, postChatMessage, setMuted, isMuted, clearChat } from "../controllers/chat.controller.js";
+import { offerRematch, acceptRematch, cancelRematch } from "../controllers/rematch.controller.js";
+import { PING_INTERVAL, recordRtt, getRtt, forgetSocket } from "../controllers/lag.controller.js";
+import { getBughousePartner } from "../controllers/bughouse.controller.js";
+import { createChallenge, acceptChallenge, declineChallenge, cancelChallenge, challengeUserRoom } from "../controllers/challenge.controller.js";
 
 dotenv.config();
 
 // In-memory mapping for socketId <-> userId
 const socketIdToUserId = {};
 
+// /game events that change the game; spectators are refused these
+const PLAYER_ONLY_EVENTS = new Set([
+  "game:makeMove",
+  "game:getPossibleMoves",
+  "game:resign",
+  "game:offerDraw",
+  "game:acceptDraw",
+  "game:declineDraw",
+  "game:requestTakeback",
+  "game:acceptTakeback",
+  "game:declineTakeback",
+  "game:premove",
+  "game:cancelPremove",
+  "game:offerRematch",
+  "game:acceptRematch",
+  "game:mute",
+]);
+
+// Spectators of a session also join this room so they can be counted
+const spectatorRoom = (sessionId) => `${sessionId}:spectators`;
+// Players join a shared room for their chat channel and a per-user room so mutes can exclude them
+const playerRoom = (sessionId) => `${sessionId}:players`;
+const playerUserRoom = (sessionId, userId) => `${sessionId}:players:${userId}`;
+
 const websocketRoutes = (io) => {
   const matchmakingNamespace = io.of("/matchmaking");
+  matchmakingNamespace.use(socketAuth);
 
   matchmakingNamespace.on("connection", (socket) => {
-        // userId should ideally come from an authenticated session (e.g., JWT in handshake.auth.token)
-        const queryParams = socket.handshake.auth;
-        const userId = queryParams.userId; // Get userId from auth payload
+        // userId comes only from the verified token (see socketAuth)
+        const userId = socket.data.userId;
 
         if (!userId) {
             console.error("UserId not provided in handshake auth");
@@ -38,9 +80,11 @@ const websocketRoutes = (io) => {
         // Store the mapping for disconnection handling
         socketIdToUserId[socket.id] = userId;
         console.log(`User ${userId} connected to socket: ${socket.id}`);
+        // Challenges to this user, and answers to theirs, are sent to every socket they have open
+        socket.join(challengeUserRoom(userId));
 
         // --- Regular Matchmaking Events ---
-        socket.on("queue:join", async ({ variant, subvariant = '' }) => {
+        socket.on("queue:join", async ({ variant, subvariant = '', timeControl }) => {
             console.log("Received queue:join for user", userId, "variant", variant, subvariant);
 
             try {
@@ -52,6 +96,7 @@ const websocketRoutes = (io) => {
                     variant,
                     io: matchmakingNamespace, // Pass the namespace for emitting events
                     subvariant,
+                    timeControl, // { base, increment } in ms; the variant's own clock if omitted
                 });
 
                 console.log(`User ${userId} successfully joined the regular queue`);
@@ -150,6 +195,45 @@ const websocketRoutes = (io) => {
         });
 
 
+        // --- Challenges (direct, or open to anyone with the link) ---
+        socket.on("challenge:create", async ({ opponentId, variant, subvariant, timeControl, daysPerMove, fen, pgn, color, rated } = {}) => {
+            try {
+                const challenge = await createChallenge({ userId, opponentId, variant, subvariant, timeControl, daysPerMove, fen, pgn, color, rated, io });
+                socket.emit("challenge:created", { challenge });
+            } catch (err) {
+                console.error("Error creating challenge:", err);
+                socket.emit("challenge:error", { message: err.message });
+            }
+        });
+
+        socket.on("challenge:accept", async ({ challengeId } = {}) => {
+            try {
+                // Both players are sent challenge:accepted with the new session
+                await acceptChallenge({ challengeId, userId, io });
+            } catch (err) {
+                console.error("Error accepting challenge:", err);
+                socket.emit("challenge:error", { challengeId, message: err.message });
+            }
+        });
+
+        socket.on("challenge:decline", async ({ challengeId } = {}) => {
+            try {
+                await declineChallenge({ challengeId, userId, io });
+                socket.emit("challenge:declined", { challengeId });
+            } catch (err) {
+                socket.emit("challenge:error", { challengeId, message: err.message });
+            }
+        });
+
+        socket.on("challenge:cancel", async ({ challengeId } = {}) => {
+            try {
+                await cancelChallenge({ challengeId, userId, io });
+                socket.emit("challenge:cancelled", { challengeId });
+            } catch (err) {
+                socket.emit("challenge:error", { challengeId, message: err.message });
+            }
+        });
+
         // --- Disconnect Handling ---
         socket.on("disconnect", async () => {
             const disconnectedUserId = socketIdToUserId[socket.id];
@@ -175,13 +259,95 @@ const websocketRoutes = (io) => {
     process.exit();
   });
 
-  // Game namespace for handling chess moves
-  const gameNamespace = io.of("/game");
+  // Game namespace for handling chess moves
+  const gameNamespace = io.of("/game");
+
+  // Only authenticated players, or spectators when the game allows them, may join a session
+  gameNamespace.use(socketAuth);
+  gameNamespace.use(async (socket, next) => {
+    const sessionId = socket.handshake.auth?.sessionId;
+    if (!sessionId) return next(new Error("sessionId not provided in handshake auth"));
+    try {
+      const role = await getParticipantRole({ sessionId, userId: socket.data.userId });
+      if (!role) return next(new Error("Not allowed to join this game"));
+      socket.data.role = role;
+      socket.data.correspondence = await isCorrespondenceSession(sessionId);
+      return next();
+    } catch (err) {
+      console.error(`[game:auth] Failed to authorize ${socket.data.userId} for ${sessionId}:`, err);
+      return next(new Error("Failed to authorize game connection"));
+    }
+  });
+
+  // Persist the result of a finished game and tell everyone in the session
+  const endGame = async (sessionId, gameState) => {
+    cancelClock(sessionId);
+    clearPresence(sessionId);
+    const outcome = await recordGameResult(sessionId, gameState);
+    if (!outcome.success) {
+      gameNamespace.to(sessionId).emit("game:error", { message: outcome.message });
+    }
+    gameNamespace.to(sessionId).emit("game:end", { gameState: withoutPremoves(gameState), ratingChanges: outcome.ratingChanges || null });
+
+    // Bughouse: the partner board ends too, with the same result for each team
+    const linkedSessionId = gameState.metadata?.bughouse?.linkedSessionId;
+    if (linkedSessionId) {
+      emitLinkedBoard(gameState);
+      try {
+        const linked = await finishLinkedBoard({ sessionId: linkedSessionId, endedGameState: gameState });
+        if (linked) await endGame(linkedSessionId, linked.gameState);
+      } catch (err) {
+        console.error(`[endGame] Failed to end linked board ${linkedSessionId}:`, err);
+      }
+    }
+  };
+
+  // Bughouse: show a board to the players and spectators of its partner board
+  const emitLinkedBoard = (gameState, extra = {}) => {
+    const link = gameState.metadata?.bughouse;
+    if (!link?.linkedSessionId) return;
+    gameNamespace.to(link.linkedSessionId).emit("game:linkedBoard", {
+      sessionId: gameState.sessionId,
+      board: link.board,
+      gameState: withoutPremoves(gameState),
+      ...extra,
+    });
+  };
+
+  // Number of distinct users watching a session
+  const countSpectators = async (sessionId) => {
+    const sockets = await gameNamespace.in(spectatorRoom(sessionId)).fetchSockets();
+    return new Set(sockets.map((spectator) => spectator.data.userId)).size;
+  };
+
+  const broadcastSpectatorCount = (sessionId) =>
+    countSpectators(sessionId)
+      .then((count) => gameNamespace.to(sessionId).emit("game:spectators", { count }))
+      .catch((err) => console.error(`[game:spectators] Failed to count spectators for ${sessionId}:`, err));
+
+  // Server-side clock events are broadcast to the session, however the clock was armed
+  // (session created, move played, player connected)
+  setClockHandlers((sessionId) => ({
+    onGameEnd: (finishedState) => endGame(sessionId, finishedState),
+    onWarning: ({ message, gameState: updatedState }) => {
+      gameNamespace.to(sessionId).emit("game:warning", { message, move: null, gameState: withoutPremoves(updatedState) });
+    },
+    onUpdate: (updatedState) => {
+      gameNamespace.to(sessionId).emit("game:timer", {
+        white: updatedState.board.whiteTime,
+        black: updatedState.board.blackTime,
+        dropTimers: updatedState.board.dropTimers || null
+      });
+      gameNamespace.to(sessionId).emit("game:gameState", { gameState: withoutPremoves(updatedState) });
+      emitLinkedBoard(updatedState);
+    },
+  }));
+  onSessionCreated(startClock);
 
   gameNamespace.on("connection", (socket) => {
     const queryParams = socket.handshake.auth;
-    console.log("queryParams:", queryParams);
-    const {userId, sessionId, variant, subvariant} = queryParams;
+    const { sessionId } = queryParams; // The variant comes from the session, not the client
+    const userId = socket.data.userId;
     console.log("User connected to game socket:", socket.id, "UserId:", userId, "SessionId:", sessionId);
 
     if (!userId || !sessionId) {
@@ -190,22 +356,174 @@ const websocketRoutes = (io) => {
       return;
     }
 
-    // Join the session room so both players get updates
-    socket.join(sessionId);
-    console.log(`User ${userId} joined session room ${sessionId}`);
+    // Join the session room so both players get updates
+    socket.join(sessionId);
+    console.log(`User ${userId} joined session room ${sessionId}`);
+
+    // Start tracking the clock if nobody in this session has yet (e.g. after a restart)
+    if (!isClockScheduled(sessionId)) {
+      getSessionById(sessionId)
+        .then((session) => {
+          if (session?.gameState?.status === "active") startClock(sessionId, session.gameState);
+        })
+        .catch((err) => console.error(`[game:connect] Failed to arm clock for ${sessionId}:`, err));
+    }
+
+    const isPlayer = socket.data.role === "player";
+
+    // Spectators get every broadcast but are read-only
+    socket.use(([event, ...args], next) => {
+      if (!isPlayer && PLAYER_ONLY_EVENTS.has(event)) {
+        socket.emit("game:error", { message: "Spectators cannot move, resign or offer draws" });
+        const ack = args[args.length - 1];
+        if (typeof ack === "function") ack({ ok: false, type: "game:error", message: "Spectators cannot move, resign or offer draws" });
+        return;
+      }
+      next();
+    });
+    if (isPlayer) {
+      socket.join([playerRoom(sessionId), playerUserRoom(sessionId, userId)]);
+    } else {
+      socket.join(spectatorRoom(sessionId));
+      broadcastSpectatorCount(sessionId);
+    }
+
+    // Chat: players and spectators each have their own channel; bughouse players can also
+    // send { channel: "partner" } to reach only their partner on the other board
+    socket.on("game:chat", async ({ message, channel: requestedChannel } = {}) => {
+      try {
+        socket.data.username ??= await getChatName(sessionId, userId);
+        if (requestedChannel === "partner") {
+          const session = await getSessionById(sessionId);
+          const partner = isPlayer ? getBughousePartner(session?.gameState, userId) : null;
+          if (!partner) throw new Error("Partner chat is only available to bughouse players");
+          const entry = await postChatMessage({ sessionId, userId, username: socket.data.username, channel: "partner", text: message });
+          gameNamespace.to([playerUserRoom(sessionId, userId), playerUserRoom(partner.sessionId, partner.userId)]).emit("game:chat", entry);
+          return;
+        }
+
+        const channel = isPlayer ? "players" : "spectators";
+        const entry = await postChatMessage({ sessionId, userId, username: socket.data.username, channel, text: message });
+
+        if (!isPlayer) {
+          gameNamespace.to(spectatorRoom(sessionId)).emit("game:chat", entry);
+          return;
+        }
+        // Skip the opponent's sockets if they have muted this player
+        const session = await getSessionById(sessionId);
+        const opponentId = session && Object.values(session.gameState.players).find((p) => p.userId !== userId)?.userId;
+        const recipients = opponentId && isMuted(sessionId, opponentId, userId)
+          ? gameNamespace.to(playerRoom(sessionId)).except(playerUserRoom(sessionId, opponentId))
+          : gameNamespace.to(playerRoom(sessionId));
+        recipients.emit("game:chat", entry);
+      } catch (err) {
+        socket.emit("game:error", { message: err.message });
+      }
+    });
+
+    // Players can mute (or unmute) their opponent's chat
+    socket.on("game:mute", async ({ muted = true } = {}) => {
+      try {
+        const session = await getSessionById(sessionId);
+        if (!session) throw new Error("Session not found");
+        const opponentId = Object.values(session.gameState.players).find((p) => p.userId !== userId)?.userId;
+        setMuted(sessionId, userId, opponentId, muted);
+        socket.emit("game:muted", { userId: opponentId, muted });
+      } catch (err) {
+        socket.emit("game:error", { message: err.message });
+      }
+    });
+
+    // Players are pinged to measure round-trip time for lag compensation; clients answer through the ack
+    const ping = () => {
+      const sentAt = Date.now();
+      socket.timeout(PING_INTERVAL).emit("game:ping", { serverTime: sentAt }, (err) => {
+        if (!err) recordRtt(socket.id, Date.now() - sentAt);
+      });
+    };
+    const pingTimer = isPlayer ? setInterval(ping, PING_INTERVAL) : null;
+    if (isPlayer) ping();
+
+    // A reconnect cancels any pending abandonment; let the opponent know
+    if (isPlayer && markConnected(sessionId, userId, socket.id)) {
+      socket.to(sessionId).emit("game:opponentReconnected", { userId });
+    }
+
+    // Bring the client up to date: board, live clocks, pockets, draw offers and spectator count
+    const sendSync = () =>
+      Promise.all([getGameSync({ sessionId, userId }), countSpectators(sessionId)])
+        .then(([sync, spectators]) => socket.emit("game:sync", { ...sync, role: socket.data.role, spectators }))
+        .catch((err) => socket.emit("game:error", { message: err.message }));
+    sendSync();
+    socket.on("game:sync", sendSync);
+
+    // A player whose last socket drops forfeits by abandonment unless they return within the grace period
+    socket.on("disconnect", () => {
+      clearInterval(pingTimer);
+      forgetSocket(socket.id);
+
+      // Forget chat rate limits and mutes once nobody is left in the session
+      gameNamespace.in(sessionId).fetchSockets()
+        .then((sockets) => { if (sockets.length === 0) clearChat(sessionId); })
+        .catch((err) => console.error(`[game:disconnect] Failed to check session room ${sessionId}:`, err));
+
+      if (!isPlayer) {
+        broadcastSpectatorCount(sessionId);
+        return;
+      }
+      // A player leaving withdraws any rematch offer, correspondence games included
+      if (cancelRematch(sessionId)) {
+        gameNamespace.to(playerRoom(sessionId)).emit("game:rematchCancelled", { userId });
+      }
+      // Leaving a correspondence game is normal; there is no abandonment
+      if (socket.data.correspondence) return;
+      const grace = markDisconnected(sessionId, userId, socket.id, async () => {
+        const result = await forfeitByAbandonment({ sessionId, userId });
+        if (result) await endGame(sessionId, result.gameState);
+      });
+      if (grace) {
+        socket.to(sessionId).emit("game:opponentDisconnected", { userId, deadline: grace.deadline });
+      }
+    });
     // --- Outgoing events from client ---
     // Make move
-    socket.on("game:makeMove", async ({ move, timestamp }) => {
+    socket.on("game:makeMove", async ({ move, moveId } = {}, ack) => {
+      // Clocks use server receipt time (less measured lag), never a client-supplied timestamp
+      const receivedAt = Date.now();
+      // Acknowledge the sender directly; everyone else gets the room broadcast
+      const reply = typeof ack === "function" ? ack : () => {};
       try {
-        const result = await makeMove({ sessionId, userId, move, timestamp, variant, subvariant });
+        const result = await makeMove({ sessionId, userId, move, timestamp: receivedAt, rtt: getRtt(socket.id), moveId });
         if (result && result.type === 'game:warning') {
           console.warn("Game warning:", result.message);
-          gameNamespace.to(sessionId).emit("game:warning", { message: result.message, move: result.move, gameState: result.gameState });
-          return;
+          gameNamespace.to(sessionId).emit("game:warning", { message: result.message, move: result.move, gameState: withoutPremoves(result.gameState) });
+          reply({ ok: false, type: "game:warning", message: result.message, moveId });
+          if (result.gameState) startClock(sessionId, result.gameState);
+          return;
         }
-        const { move: moveObj, gameState } = result;
+        if (result.type === "game:error") throw new Error(result.message);
+        // Resubmitted move that was already played: acknowledge it again, nothing to broadcast
+        if (result.duplicate) {
+          reply({ ok: true, duplicate: true, moveId, ply: result.ply, move: result.moveRecord });
+          return;
+        }
+        const { move: moveObj, premove } = result;
+        reply({ ok: true, moveId, ply: result.ply, move: result.moveRecord });
         // Always emit all game events to the whole session
-        gameNamespace.to(sessionId).emit("game:move", { move: moveObj, gameState });
+        gameNamespace.to(sessionId).emit("game:move", { move: moveObj, gameState: withoutPremoves(result.gameState) });
+        // The opponent's queued premove was played straight after
+        if (premove) {
+          gameNamespace.to(sessionId).emit("game:move", { move: premove.move, gameState: withoutPremoves(premove.gameState), premove: true });
+        }
+        const gameState = premove ? premove.gameState : result.gameState;
+
+        // Bughouse: the partner board sees the move, and a pocket that just received a piece is sent to both boards
+        emitLinkedBoard(result.gameState, { move: moveObj });
+        if (premove) emitLinkedBoard(premove.gameState, { move: premove.move });
+        for (const linkedGameState of [result.linkedGameState, premove?.linkedGameState].filter(Boolean)) {
+          gameNamespace.to(linkedGameState.sessionId).emit("game:gameState", { gameState: withoutPremoves(linkedGameState) });
+          emitLinkedBoard(linkedGameState);
+        }
 
         // --- MODIFICATION START ---
         // Emit main game timers from gameState.board
@@ -217,79 +535,21 @@ const websocketRoutes = (io) => {
         });
         // --- MODIFICATION END ---
 
-        if (gameState.status === 'finished') {
-         if(gameState.metadata.source === 'tournament'){
-                        const updatedTournament = await tournamentModel.findOneAndUpdate({'matches.sessionId': sessionId}, {
-                                $set: {
-                                        'matches.$.result': gameState.result,
-                                        'matches.$.gameState': gameState.board
-                                        }
-                                }, { new: true });
-                        if(updatedTournament){
-                                console.log(`Tournament match updated for session ${sessionId} with result ${gameState.result}`);
-                                const winnerId = gameState.result === 'white' ? updatedTournament.player1 : updatedTournament.player2;
-                                const updatedUserPoints = await UserModel.findByIdAndUpdate({winnerId}, {
-                                        // will continue to update points based on your logic
-                                })
-                        }
-                } else if(gameState.metadata.source === 'matchmaking') {
-                        let incPoint = 0;
-                        if(variant === 'classic') {
-                                incPoint = 1
-                        } else if(variant === 'crazyhouse') {
-                                incPoint = 2
-                        } else if(variant === 'sixpointer') {
-                                incPoint = 3
-                        } else if(variant === 'decay') {
-                                incPoint = 3
-                        }
-                        const winnerId = gameState.winnerColor === 'white' ? gameState.players.white.userId : gameState.players.black.userId;
-                        const looserId = gameState.winnerColor === 'white' ? gameState.players.black.userId : gameState.players.white.userId;
-                        const updateWinner = await UserModel.findByIdAndUpdate(
-                                winnerId,
-                                {
-                                        $inc: {
-                                        ratings: incPoint,
-                                        win: 1,
-                                },
-                                },
-                        { new: true } 
-                        );
-
-
-                        if(!updateWinner) {
-                                console.error(`Failed to update user points for winner ${winnerId}`);
-                                gameNamespace.to(sessionId).emit("game:error", { message: "Failed to update user points." });
-                        }
-
-                        const updateLooser = await UserModel.findByIdAndUpdate(
-                                looserId,
-                                {
-                                        $inc: {lose: 1}
-                                },
-                        { new: true }
-                        );
-
-                        if(!updateLooser) {
-                                console.error(`Failed to update user points for looser ${looserId}`);
-                                gameNamespace.to(sessionId).emit("game:error", { message: "Failed to update user points." });
-                        }
-                        console.log(`User ${winnerId} points updated by ${incPoint} points.`);
-                }
-
-                gameNamespace.to(sessionId).emit("game:end", { gameState });
-               
-                
-        }
-      } catch (err) {
-        gameNamespace.to(sessionId).emit("game:error", { message: err.message });
-      }
-    });
+        if (gameState.status === 'finished') {
+          await endGame(sessionId, gameState);
+        } else {
+          startClock(sessionId, gameState);
+        }
+      } catch (err) {
+        gameNamespace.to(sessionId).emit("game:error", { message: err.message });
+        reply({ ok: false, type: "game:error", message: err.message, moveId });
+      }
+    });
 
     // Get possible moves
     socket.on("game:getPossibleMoves", async ({ square }) => {
       try {
-        const moves = await getPossibleMoves({ sessionId, square, variant, subvariant });
+        const moves = await getPossibleMoves({ sessionId, square });
         gameNamespace.to(sessionId).emit("game:possibleMoves", { square, moves });
       } catch (err) {
         gameNamespace.to(sessionId).emit("game:error", { message: err.message });
@@ -299,8 +559,8 @@ const websocketRoutes = (io) => {
     // Resign
     socket.on("game:resign", async () => {
       try {
-        const { gameState } = await resign({ sessionId, userId, variant, subvariant });
-        gameNamespace.to(sessionId).emit("game:end", { gameState });
+        const { gameState } = await resign({ sessionId, userId });
+        await endGame(sessionId, gameState);
       } catch (err) {
         gameNamespace.to(sessionId).emit("game:error", { message: err.message });
       }
@@ -309,8 +569,8 @@ const websocketRoutes = (io) => {
     // Offer draw
     socket.on("game:offerDraw", async () => {
       try {
-        const { gameState } = await offerDraw({ sessionId, userId , variant, subvariant});
-        gameNamespace.to(sessionId).emit("game:gameState", { gameState });
+        const { gameState } = await offerDraw({ sessionId, userId });
+        gameNamespace.to(sessionId).emit("game:gameState", { gameState: withoutPremoves(gameState) });
       } catch (err) {
         gameNamespace.to(sessionId).emit("game:error", { message: err.message });
       }
@@ -319,8 +579,8 @@ const websocketRoutes = (io) => {
     // Accept draw
     socket.on("game:acceptDraw", async () => {
       try {
-        const { gameState } = await acceptDraw({ sessionId, userId, variant, subvariant });
-        gameNamespace.to(sessionId).emit("game:end", { gameState });
+        const { gameState } = await acceptDraw({ sessionId, userId });
+        await endGame(sessionId, gameState);
       } catch (err) {
         gameNamespace.to(sessionId).emit("game:error", { message: err.message });
       }
@@ -329,12 +589,91 @@ const websocketRoutes = (io) => {
     // Decline draw
     socket.on("game:declineDraw", async () => {
       try {
-        const { gameState } = await declineDraw({ sessionId, userId , variant, subvariant });
-        gameNamespace.to(sessionId).emit("game:gameState", { gameState });
+        const { gameState } = await declineDraw({ sessionId, userId });
+        gameNamespace.to(sessionId).emit("game:gameState", { gameState: withoutPremoves(gameState) });
       } catch (err) {
         gameNamespace.to(sessionId).emit("game:error", { message: err.message });
       }
     });
+
+    // Request takeback
+    socket.on("game:requestTakeback", async () => {
+      try {
+        const { gameState } = await requestTakeback({ sessionId, userId });
+        gameNamespace.to(sessionId).emit("game:gameState", { gameState: withoutPremoves(gameState) });
+      } catch (err) {
+        socket.emit("game:error", { message: err.message });
+      }
+    });
+
+    // Accept takeback: the board, clocks and variant timers are rolled back
+    socket.on("game:acceptTakeback", async () => {
+      try {
+        const { gameState, plies } = await acceptTakeback({ sessionId, userId });
+        gameNamespace.to(sessionId).emit("game:takeback", { plies, gameState: withoutPremoves(gameState) });
+        gameNamespace.to(sessionId).emit("game:timer", {
+          white: gameState.board.whiteTime,
+          black: gameState.board.blackTime,
+          dropTimers: gameState.board.dropTimers || null
+        });
+        startClock(sessionId, gameState);
+      } catch (err) {
+        socket.emit("game:error", { message: err.message });
+      }
+    });
+
+    // Decline takeback
+    socket.on("game:declineTakeback", async () => {
+      try {
+        const { gameState } = await declineTakeback({ sessionId, userId });
+        gameNamespace.to(sessionId).emit("game:gameState", { gameState: withoutPremoves(gameState) });
+      } catch (err) {
+        socket.emit("game:error", { message: err.message });
+      }
+    });
+
+    // Queue a premove (only the player who set it is told)
+    socket.on("game:premove", async ({ move } = {}) => {
+      try {
+        const { premove } = await setPremove({ sessionId, userId, move });
+        socket.emit("game:premove", { premove });
+      } catch (err) {
+        socket.emit("game:error", { message: err.message });
+      }
+    });
+
+    socket.on("game:cancelPremove", async () => {
+      try {
+        const { premove } = await cancelPremove({ sessionId, userId });
+        socket.emit("game:premove", { premove });
+      } catch (err) {
+        socket.emit("game:error", { message: err.message });
+      }
+    });
+
+    // Offer a rematch once the game is over
+    socket.on("game:offerRematch", async () => {
+      try {
+        const { expiresAt } = await offerRematch({
+          sessionId,
+          userId,
+          onExpire: () => gameNamespace.to(playerRoom(sessionId)).emit("game:rematchExpired", { userId }),
+        });
+        gameNamespace.to(playerRoom(sessionId)).emit("game:rematchOffered", { userId, expiresAt });
+      } catch (err) {
+        socket.emit("game:error", { message: err.message });
+      }
+    });
+
+    // Accept a rematch: both players are sent the new session to join
+    socket.on("game:acceptRematch", async () => {
+      try {
+        const rematch = await acceptRematch({ sessionId, userId });
+        gameNamespace.to(playerRoom(sessionId)).emit("game:rematch", rematch);
+      } catch (err) {
+        socket.emit("game:error", { message: err.message });
+      }
+    });
   });
 };
 
@@ -0,0 +1,61 @@
+import { createGameSession, getSessionById, updateGameState } from './session.controller.js';
+
+// A bughouse game is two ordinary sessions of the "bughouse" variant, one per board.
+// Each board's gameState.metadata.bughouse links it to the other:
+//   { board: 'A'|'B', linkedSessionId, partners: { userId: partnerUserId } }
+// Partners sit on opposite colours, so a piece captured by white on one board goes to
+// black's pocket on the other (see validations/crazyhouse/bughouse.js), and a result on
+// one board is mirrored onto the other (see finishLinkedBoard in game.controller.js).
+export const BUGHOUSE_VARIANT = 'bughouse';
+
+/**
+ * Create both boards of a bughouse game and link them.
+ * Board A: team1[0] (white) vs team2[0] (black); board B: team2[1] (white) vs team1[1] (black).
+ * @param {Object[]} team1 - Two players ({ userId, username, rating })
+ * @param {Object[]} team2 - Two players
+ * @param {Object} source - userId -> source ('matchmaking', ...), as for createGameSession
+ * @param {Object} [customConfig] - Passed on to createGameSession for both boards
+ * @returns {Promise<{ A: Object, B: Object }>} Each board's { sessionId, gameState }
+ */
+export async function createBughouseGame(team1, team2, source, customConfig = {}) {
+    const partners = {
+        [team1[0].userId]: team1[1].userId,
+        [team1[1].userId]: team1[0].userId,
+        [team2[0].userId]: team2[1].userId,
+        [team2[1].userId]: team2[0].userId,
+    };
+
+    const boardA = await createGameSession(team1[0], team2[0], BUGHOUSE_VARIANT, null, source, {
+        ...customConfig,
+        whiteUserId: team1[0].userId,
+        bughouse: { board: 'A', linkedSessionId: null, partners },
+    });
+    if (!boardA.success) throw new Error(boardA.message);
+
+    const boardB = await createGameSession(team2[1], team1[1], BUGHOUSE_VARIANT, null, source, {
+        ...customConfig,
+        whiteUserId: team2[1].userId,
+        bughouse: { board: 'B', linkedSessionId: boardA.sessionId, partners },
+    });
+    if (!boardB.success) throw new Error(boardB.message);
+
+    // Board A existed before B had an id. Nobody has been told either id yet, so no move can race this write.
+    const sessionA = await getSessionById(boardA.sessionId);
+    sessionA.gameState.metadata.bughouse.linkedSessionId = boardB.sessionId;
+    await updateGameState(boardA.sessionId, sessionA.gameState);
+    boardA.gameState.metadata.bughouse.linkedSessionId = boardB.sessionId;
+
+    console.log(`[createBughouseGame] Linked boards ${boardA.sessionId} (A) and ${boardB.sessionId} (B)`);
+    return { A: boardA, B: boardB };
+}
+
+/**
+ * Partner of a player in a bughouse game, with the board the partner plays on
+ * @returns {{ userId: string, sessionId: string }|null} null if this isn't a bughouse game or the user isn't playing
+ */
+export function getBughousePartner(gameState, userId) {
+    const link = gameState?.metadata?.bughouse;
+    const partnerId = link?.partners?.[userId];
+    if (!partnerId || !link.linkedSessionId) return null;
+    return { userId: partnerId, sessionId: link.linkedSessionId };
+}
@@ -0,0 +1,234 @@
+import { v4 as uuidv4 } from 'uuid';
+import UserModel from '../models/User.model.js';
+import redisClient from '../config/redis.config.js';
+import { getVariant } from '../validations/index.js';
+import { createGameSession, resolveTimeControl, resolveDaysPerMove } from './session.controller.js';
+import { cleanupUserFromAllQueues } from './matchmaking.controller.js';
+import { getVariantRating } from './rating.controller.js';
+import { checkCustomPosition } from './position.controller.js';
+
+// Challenges: a player picks the variant, clock, colour and rated flag, then either names an
+// opponent (direct challenge) or shares the challenge id as a link that anyone else can accept
+// (open challenge). Accepting starts the game at once through createGameSession, without the
+// rating-ranked queue. A challenge can also start from a FEN or PGN. Challenges are kept in
+// Redis and lapse on their own.
+
+// How long a direct challenge waits for its opponent
+export const CHALLENGE_TIMEOUT = 5 * 60 * 1000;
+// How long open challenges, and correspondence ones (the opponent needn't be online), stay up
+export const OPEN_CHALLENGE_TIMEOUT = 24 * 60 * 60 * 1000;
+
+const COLORS = ['white', 'black', 'random'];
+
+const challengeKey = (challengeId) => `challenge:${challengeId}`;
+
+// /matchmaking room every socket of a user joins, so challenge events reach all their devices
+export const challengeUserRoom = (userId) => `challenges:${userId}`;
+
+const notifyUser = (io, userId, event, payload) => io?.of('/matchmaking').to(challengeUserRoom(userId)).emit(event, payload);
+
+/**
+ * Load a challenge that is still open
+ * @returns {Promise<Object|null>} null if it doesn't exist, was answered or lapsed
+ */
+export async function getChallenge(challengeId) {
+    if (!challengeId || typeof challengeId !== 'string') return null;
+    const stored = await redisClient.get(challengeKey(challengeId));
+    return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Create a challenge. Without opponentId it is an open challenge: share its id as a link.
+ * @param {Object} params
+ * @param {string} params.userId - Challenger
+ * @param {string} [params.opponentId] - User being challenged
+ * @param {string} params.variant
+ * @param {string} [params.subvariant]
+ * @param {Object} [params.timeControl] - { base, increment } in ms; the variant's own clock if omitted
+ * @param {number} [params.daysPerMove] - Makes it a correspondence game (timeControl is then ignored)
+ * @param {string} [params.fen] - Start from this position (crazyhouse FENs may carry a bracketed pocket)
+ * @param {string} [params.pgn] - Start after this game's moves. Custom-position games are unrated
+ * @param {string} [params.color='random'] - Colour the challenger plays: 'white', 'black' or 'random'
+ * @param {boolean} [params.rated=true]
+ * @param {Server} [params.io] - Socket.IO server, to tell the opponent
+ * @returns {Promise<Object>} The challenge, with challengeId and expiresAt
+ */
+export async function createChallenge({ userId, opponentId, variant, subvariant, timeControl, daysPerMove, fen, pgn, color = 'random', rated = true, io }) {
+    if (opponentId === userId) throw new Error('You cannot challenge yourself');
+    if (!COLORS.includes(color)) throw new Error('Color must be white, black or random');
+
+    const definition = getVariant(variant, subvariant);
+    if (definition.playersPerGame !== 2) {
+        throw new Error(`${definition.key} can't be played by challenge`);
+    }
+    const correspondence = daysPerMove !== undefined && daysPerMove !== null
+        ? { daysPerMove: resolveDaysPerMove(definition.variant, definition.subvariant, daysPerMove) }
+        : null;
+    const clock = correspondence ? null : resolveTimeControl(definition.variant, definition.subvariant, timeControl);
+    // Checked now so a bad position is refused to the challenger, not when someone accepts
+    const position = fen || pgn ? checkCustomPosition(definition, { fen, pgn }) : null;
+
+    const ids = opponentId ? [userId, opponentId] : [userId];
+    const userDocs = await UserModel.find({ _id: { $in: ids } }).select('_id name');
+    if (userDocs.length !== ids.length) throw new Error('Player not found');
+    const describe = (id) => ({ userId: id, username: userDocs.find((doc) => doc._id.toString() === id).name });
+
+    const now = Date.now();
+    const timeout = opponentId && !correspondence ? CHALLENGE_TIMEOUT : OPEN_CHALLENGE_TIMEOUT;
+    const challenge = {
+        challengeId: uuidv4(),
+        challenger: describe(userId),
+        opponent: opponentId ? describe(opponentId) : null,
+        variant: definition.variant,
+        subvariant: definition.subvariant,
+        timeControl: clock,
+        correspondence,
+        customPosition: position ? (fen ? { fen } : { pgn }) : null,
+        color,
+        rated: !position && Boolean(rated),
+        createdAt: now,
+        expiresAt: now + timeout,
+    };
+    await redisClient.set(challengeKey(challenge.challengeId), JSON.stringify(challenge), { EX: Math.ceil(timeout / 1000) });
+
+    if (opponentId) notifyUser(io, opponentId, 'challenge:received', { challenge });
+    console.log(`[createChallenge] ${userId} created ${opponentId ? `a challenge to ${opponentId}` : 'an open challenge'}: ${challenge.challengeId}`);
+    return challenge;
+}
+
+/**
+ * Accept a challenge and start its game. Both players get challenge:accepted with the session.
+ * @returns {Promise<{ sessionId: string, gameState: Object }>} The new session
+ */
+export async function acceptChallenge({ challengeId, userId, io }) {
+    const challenge = await getChallenge(challengeId);
+    if (!challenge) throw new Error('Challenge not found or expired');
+
+    const challengerId = challenge.challenger.userId;
+    if (challengerId === userId) throw new Error('You cannot accept your own challenge');
+    if (challenge.opponent && challenge.opponent.userId !== userId) throw new Error('This challenge is for another player');
+
+    // Only the first to accept gets to delete it, so an open challenge starts one game
+    if (!(await redisClient.del(challengeKey(challengeId)))) throw new Error('Challenge not found or expired');
+
+    const { variant, subvariant } = challenge;
+    const userDocs = await UserModel.find({ _id: { $in: [challengerId, userId] } }).select('_id name variantRatings');
+    if (userDocs.length !== 2) throw new Error('Player not found');
+    const [player1, player2] = [challengerId, userId].map((id) => {
+        const userDoc = userDocs.find((doc) => doc._id.toString() === id);
+        return {
+            userId: id,
+            username: userDoc.name,
+            rating: Math.round(getVariantRating(userDoc, variant, subvariant).rating),
+        };
+    });
+
+    // A real-time game replaces any queue either player was waiting in
+    if (!challenge.correspondence) {
+        await cleanupUserFromAllQueues(challengerId);
+        await cleanupUserFromAllQueues(userId);
+    }
+
+    const source = challenge.correspondence ? 'correspondence' : 'challenge';
+    const game = await createGameSession(
+        player1,
+        player2,
+        variant,
+        subvariant,
+        { [challengerId]: source, [userId]: source },
+        {
+            whiteUserId: challenge.color === 'white' ? challengerId : challenge.color === 'black' ? userId : undefined,
+            rated: challenge.rated,
+            ...(challenge.correspondence ? { correspondence: challenge.correspondence } : { timeControl: challenge.timeControl }),
+            ...challenge.customPosition,
+        }
+    );
+    if (!game.success) throw new Error(game.message || 'Failed to create game');
+
+    const { sessionId, gameState } = game;
+    for (const [player, opponent] of [[player1, player2], [player2, player1]]) {
+        notifyUser(io, player.userId, 'challenge:accepted', {
+            challengeId,
+            opponent: { userId: opponent.userId, name: opponent.username },
+            variant,
+            subvariant,
+            sessionId,
+            gameState,
+        });
+    }
+
+    console.log(`[acceptChallenge] ${userId} accepted ${challengeId} from ${challengerId}: ${sessionId}`);
+    return { sessionId, gameState };
+}
+
+/**
+ * Decline a direct challenge; the challenger gets challenge:declined
+ */
+export async function declineChallenge({ challengeId, userId, io }) {
+    const challenge = await getChallenge(challengeId);
+    if (!challenge) throw new Error('Challenge not found or expired');
+    if (challenge.opponent?.userId !== userId) throw new Error('Only the challenged player can decline');
+
+    if (!(await redisClient.del(challengeKey(challengeId)))) throw new Error('Challenge not found or expired');
+    notifyUser(io, challenge.challenger.userId, 'challenge:declined', { challengeId });
+    console.log(`[declineChallenge] ${userId} declined ${challengeId}`);
+}
+
+/**
+ * Withdraw a challenge; a named opponent gets challenge:cancelled
+ */
+export async function cancelChallenge({ challengeId, userId, io }) {
+    const challenge = await getChallenge(challengeId);
+    if (!challenge) throw new Error('Challenge not found or expired');
+    if (challenge.challenger.userId !== userId) throw new Error('Only the challenger can cancel');
+
+    if (!(await redisClient.del(challengeKey(challengeId)))) throw new Error('Challenge not found or expired');
+    if (challenge.opponent) notifyUser(io, challenge.opponent.userId, 'challenge:cancelled', { challengeId });
+    console.log(`[cancelChallenge] ${userId} cancelled ${challengeId}`);
+}
+
+// Controller function for POST /api/challenges: create an open challenge to share as a link.
+// Body: { variant, subvariant, timeControl?, daysPerMove?, fen? | pgn?, color?, rated? }
+export const createLinkChallenge = async (req, res) => {
+    const { variant = 'classic', subvariant = 'standard', timeControl, daysPerMove, fen, pgn, color, rated } = req.body || {};
+    try {
+        const challenge = await createChallenge({ userId: req.userId, variant, subvariant, timeControl, daysPerMove, fen, pgn, color, rated });
+        return res.status(201).json({ success: true, challenge });
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+};
+
+// Controller function for GET /api/challenges/:challengeId: what a link leads to, before accepting
+export const getLinkChallenge = async (req, res) => {
+    try {
+        const challenge = await getChallenge(req.params.challengeId);
+        if (!challenge) {
+            return res.status(404).json({ success: false, message: 'Challenge not found or expired' });
+        }
+        return res.status(200).json({ success: true, challenge });
+    } catch (error) {
+        console.error(`[getLinkChallenge] Failed for ${req.params.challengeId}:`, error);
+        return res.status(500).json({ success: false, message: 'Failed to load challenge' });
+    }
+};
+
+// Controller function for POST /api/challenges/:challengeId/accept: start the game
+export const acceptLinkChallenge = async (req, res) => {
+    try {
+        const { sessionId, gameState } = await acceptChallenge({ challengeId: req.params.challengeId, userId: req.userId, io: req.app.get('io') });
+        return res.status(201).json({ success: true, sessionId, gameState });
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+};
+
+// Controller function for DELETE /api/challenges/:challengeId: the challenger withdraws it
+export const cancelLinkChallenge = async (req, res) => {
+    try {
+        await cancelChallenge({ challengeId: req.params.challengeId, userId: req.userId, io: req.app.get('io') });
+        return res.status(200).json({ success: true, message: 'Challenge cancelled' });
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+};
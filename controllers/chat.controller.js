@@ -0,0 +1,138 @@
+import { v4 as uuidv4 } from 'uuid';
+import gameModel from '../models/game.model.js';
+import UserModel from '../models/User.model.js';
+import { getSessionById } from './session.controller.js';
+
+export const CHAT_MAX_LENGTH = 200;
+// At most CHAT_RATE_LIMIT messages per user per CHAT_RATE_WINDOW in a session
+const CHAT_RATE_LIMIT = 5;
+const CHAT_RATE_WINDOW = 10 * 1000;
+
+// Words masked out of chat; extend with a comma-separated CHAT_BLOCKLIST env var.
+// Only whole words match, so each inflection is listed rather than masking every word
+// that starts with a blocked one ("dickens", "retardant", "shitake").
+const DEFAULT_BLOCKLIST = [
+    'fuck', 'fucks', 'fucked', 'fucker', 'fuckers', 'fucking',
+    'shit', 'shits', 'shitty', 'shitting',
+    'bitch', 'bitches', 'bitchy',
+    'cunt', 'cunts',
+    'asshole', 'assholes',
+    'bastard', 'bastards',
+    'dick', 'dicks', 'dickhead',
+    'nigger', 'niggers',
+    'faggot', 'faggots',
+    'retard', 'retards', 'retarded',
+];
+const BLOCKLIST = [
+    ...DEFAULT_BLOCKLIST,
+    ...(process.env.CHAT_BLOCKLIST || '').split(',').map((word) => word.trim().toLowerCase()).filter(Boolean),
+];
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const BLOCKLIST_PATTERN = new RegExp(`\\b(${BLOCKLIST.map(escapeRegExp).join('|')})\\b`, 'gi');
+
+const recentMessages = new Map(); // `${sessionId}:${userId}` -> timestamps of recent messages
+const mutes = new Map(); // `${sessionId}:${userId}` -> Set of user ids that user has muted
+
+const chatKey = (sessionId, userId) => `${sessionId}:${userId}`;
+
+// Mask blocklisted words, keeping the first letter so the message still reads
+export function filterChatMessage(text) {
+    let filtered = false;
+    const message = text.replace(BLOCKLIST_PATTERN, (word) => {
+        filtered = true;
+        return word[0] + '*'.repeat(word.length - 1);
+    });
+    return { message, filtered };
+}
+
+// Sliding-window rate limit; records the attempt when it is allowed
+function allowMessage(sessionId, userId, now) {
+    const key = chatKey(sessionId, userId);
+    const recent = (recentMessages.get(key) || []).filter((sentAt) => now - sentAt < CHAT_RATE_WINDOW);
+    if (recent.length >= CHAT_RATE_LIMIT) {
+        recentMessages.set(key, recent);
+        return false;
+    }
+    recent.push(now);
+    recentMessages.set(key, recent);
+    return true;
+}
+
+/**
+ * Display name for a chat participant: the name on the game for players, the account name for spectators
+ */
+export async function getChatName(sessionId, userId) {
+    const session = await getSessionById(sessionId);
+    const player = session && Object.values(session.gameState.players).find((p) => p.userId === userId);
+    if (player) return player.username;
+
+    const user = await UserModel.findById(userId).select('name').lean();
+    return user?.name || 'Spectator';
+}
+
+/**
+ * Validate, filter and store a chat message. Messages are kept on the Game
+ * document so moderators can review them if the game is reported.
+ * @param {Object} params - { sessionId, userId, username, channel: 'players'|'spectators'|'partner', text }
+ * @returns {Promise<Object>} The stored message
+ */
+export async function postChatMessage({ sessionId, userId, username, channel, text }) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('Message cannot be empty');
+    }
+    const trimmed = text.trim();
+    if (trimmed.length > CHAT_MAX_LENGTH) {
+        throw new Error(`Message is longer than ${CHAT_MAX_LENGTH} characters`);
+    }
+
+    const now = Date.now();
+    if (!allowMessage(sessionId, userId, now)) {
+        throw new Error('You are sending messages too quickly');
+    }
+
+    const { message, filtered } = filterChatMessage(trimmed);
+    const entry = {
+        id: uuidv4(),
+        userId,
+        username,
+        channel,
+        message,
+        filtered,
+        // Keep what was actually typed for moderators when the filter changed it
+        ...(filtered && { original: trimmed }),
+        sentAt: new Date(now),
+    };
+
+    await gameModel.updateOne({ sessionId }, { $push: { chat: entry } });
+
+    const { original, ...publicEntry } = entry;
+    return publicEntry;
+}
+
+/**
+ * Mute or unmute another user's chat for a player
+ */
+export function setMuted(sessionId, userId, mutedUserId, muted) {
+    const key = chatKey(sessionId, userId);
+    if (!mutes.has(key)) mutes.set(key, new Set());
+    if (muted) {
+        mutes.get(key).add(mutedUserId);
+    } else {
+        mutes.get(key).delete(mutedUserId);
+    }
+}
+
+export function isMuted(sessionId, userId, senderId) {
+    return mutes.get(chatKey(sessionId, userId))?.has(senderId) || false;
+}
+
+/**
+ * Drop a finished session's rate-limit and mute state
+ */
+export function clearChat(sessionId) {
+    for (const map of [recentMessages, mutes]) {
+        for (const key of map.keys()) {
+            if (key.startsWith(`${sessionId}:`)) map.delete(key);
+        }
+    }
+}
@@ -0,0 +1,220 @@
+import redisClient, { sessionKey } from '../config/redis.config.js';
+import { getVariant } from '../validations/index.js';
+import { getSessionById, updateGameState, checkTimeForfeiture, STALE_GAME_STATE } from './session.controller.js';
+import { applyPerMoveTimeout, abortGame, countPlayedMoves, ABORT_TIMEOUT } from './game.controller.js';
+
+// Server-authoritative clocks: one pending timeout per active session, armed for
+// the next deadline of the side to move (main clock, per-move clock, the abort
+// deadline for a first move or a variant timer such as crazyhouse drop timers).
+const clockTimers = new Map(); // sessionId -> { timeout, handlers }
+
+// Builds the handlers for a session's clock; set by the /game namespace, which broadcasts the events
+let clockHandlerFactory = null;
+
+// Never re-arm tighter than this, so a clock that is a few ms from zero doesn't spin
+const MIN_CLOCK_DELAY = 50;
+
+/**
+ * Work out the next clock event for a game.
+ * @returns {{ type: 'flag'|'perMove'|'expiry'|'abort', at: number, color?: string } | null}
+ */
+export function getNextClockEvent(gameState, now = Date.now()) {
+  if (!gameState || gameState.status !== 'active') return null;
+
+  const definition = getVariant(gameState.variantName, gameState.subvariantName);
+  const board = definition.deserialize(gameState.board, now);
+  const events = [];
+
+  const { perMove } = definition.timeControl;
+  if (perMove) {
+    // Per-move clocks start with the first move (makeMove creates board.timers)
+    const timer = board.timers?.[board.activeColor];
+    if (timer) {
+      events.push({ type: 'perMove', at: (timer.lastUpdateTime || now) + timer.remaining, color: board.activeColor });
+    }
+  } else if (board.gameStarted) {
+    const clocks = definition.getTimers(board, now);
+    const color = clocks.activeColor || board.activeColor;
+    events.push({ type: 'flag', at: now + Math.max(0, clocks[color]), color });
+  }
+
+  // Until both sides have moved, the side to move has ABORT_TIMEOUT from the start of its turn
+  if (countPlayedMoves(gameState) < 2) {
+    const turnStart = board.turnStartTimestamp ?? gameState.startedAt ?? now;
+    events.push({ type: 'abort', at: turnStart + ABORT_TIMEOUT, color: board.activeColor });
+  }
+
+  const expiry = definition.getTimerExpiry(board);
+  if (expiry) {
+    events.push({ type: 'expiry', at: expiry });
+  }
+
+  if (events.length === 0) return null;
+  return events.reduce((next, event) => (event.at < next.at ? event : next));
+}
+
+/**
+ * Arm (or re-arm) the clock for a session.
+ * @param {string} sessionId
+ * @param {Object} gameState - Latest game state for the session
+ * @param {Object} handlers - { onGameEnd(gameState), onWarning({ message, gameState }), onUpdate(gameState) }
+ */
+export function scheduleClock(sessionId, gameState, handlers) {
+  cancelClock(sessionId);
+
+  let event;
+  try {
+    event = getNextClockEvent(gameState);
+  } catch (error) {
+    console.error(`[scheduleClock] Could not read clock for session ${sessionId}:`, error.message);
+    return;
+  }
+  if (!event) return;
+
+  const delay = Math.max(MIN_CLOCK_DELAY, event.at - Date.now());
+  const timeout = setTimeout(() => {
+    handleClockEvent(sessionId).catch((error) => {
+      if (error.code === STALE_GAME_STATE) {
+        // Another update got in first; re-arm from the state it wrote
+        return getSessionById(sessionId).then((session) => {
+          if (session && !isClockScheduled(sessionId)) scheduleClock(sessionId, session.gameState, handlers);
+        });
+      }
+      console.error(`[handleClockEvent] Error for session ${sessionId}:`, error);
+    }).catch((error) => {
+      console.error(`[handleClockEvent] Failed to re-arm clock for session ${sessionId}:`, error);
+    });
+  }, delay);
+  // Pending clocks shouldn't keep the process alive on shutdown
+  timeout.unref?.();
+
+  clockTimers.set(sessionId, { timeout, handlers });
+}
+
+/**
+ * Register how clocks armed outside a game socket report their events.
+ * @param {Function} factory - (sessionId) => handlers, as taken by scheduleClock
+ */
+export function setClockHandlers(factory) {
+  clockHandlerFactory = factory;
+}
+
+/**
+ * Arm a real-time session's clock with the registered handlers. Started when a session
+ * is created, so the abort and flag deadlines run even if no player ever connects.
+ * Correspondence deadlines are days away and checked by a scheduled job instead
+ * (see correspondence.controller.js).
+ */
+export function startClock(sessionId, gameState) {
+  if (!clockHandlerFactory || gameState.metadata?.correspondence) return;
+  scheduleClock(sessionId, gameState, clockHandlerFactory(sessionId));
+}
+
+/**
+ * Re-arm the clock of every active real-time session stored in Redis. Pending clocks
+ * live in memory, so after a restart no game has a deadline until this runs.
+ * @returns {Promise<number>} How many clocks were armed
+ */
+export async function rearmActiveClocks() {
+  const prefix = sessionKey('');
+  let armed = 0;
+  for await (const keys of redisClient.scanIterator({ MATCH: sessionKey('*'), COUNT: 100 })) {
+    for (const key of keys) {
+      const sessionId = key.slice(prefix.length);
+      if (isClockScheduled(sessionId)) continue;
+      try {
+        const session = await getSessionById(sessionId);
+        if (session?.gameState?.status !== 'active') continue;
+        startClock(sessionId, session.gameState);
+        if (isClockScheduled(sessionId)) armed++;
+      } catch (error) {
+        console.error(`[rearmActiveClocks] Could not re-arm session ${sessionId}:`, error.message);
+      }
+    }
+  }
+  console.log(`[rearmActiveClocks] Re-armed ${armed} clock(s)`);
+  return armed;
+}
+
+/**
+ * Stop tracking a session's clock (game finished or session gone)
+ */
+export function cancelClock(sessionId) {
+  const entry = clockTimers.get(sessionId);
+  if (entry) {
+    clearTimeout(entry.timeout);
+    clockTimers.delete(sessionId);
+  }
+}
+
+/**
+ * Check whether a session already has an armed clock
+ */
+export function isClockScheduled(sessionId) {
+  return clockTimers.has(sessionId);
+}
+
+/**
+ * Fire a session's clock: reload the authoritative state from Redis, apply
+ * whatever is due and re-arm for the next deadline.
+ */
+async function handleClockEvent(sessionId) {
+  const entry = clockTimers.get(sessionId);
+  if (!entry) return;
+  const { handlers } = entry;
+  clockTimers.delete(sessionId);
+
+  const session = await getSessionById(sessionId);
+  if (!session || session.gameState.status !== 'active') return;
+
+  const { gameState } = session;
+  const now = Date.now();
+  const event = getNextClockEvent(gameState, now);
+  if (!event) return;
+
+  // State moved on since we armed (a move was played); just re-arm
+  if (event.at > now) {
+    scheduleClock(sessionId, gameState, handlers);
+    return;
+  }
+
+  if (event.type === 'flag') {
+    const forfeit = await checkTimeForfeiture(sessionId);
+    if (forfeit?.gameOver) {
+      console.log(`[handleClockEvent] ${event.color} flagged in session ${sessionId}`);
+      await handlers.onGameEnd(forfeit.gameState);
+      return;
+    }
+    // Clock read positive on the authoritative check; try again shortly
+    scheduleClock(sessionId, gameState, handlers);
+    return;
+  }
+
+  if (event.type === 'abort') {
+    const aborted = await abortGame({ sessionId });
+    if (aborted) {
+      console.log(`[handleClockEvent] Session ${sessionId} aborted: ${aborted.color} did not move`);
+      await handlers.onGameEnd(aborted.gameState);
+      return;
+    }
+    scheduleClock(sessionId, gameState, handlers);
+    return;
+  }
+
+  const definition = getVariant(gameState.variantName, gameState.subvariantName);
+
+  if (event.type === 'perMove') {
+    gameState.board = definition.deserialize(gameState.board, now);
+    const message = applyPerMoveTimeout(gameState, event.color, now, definition.timeControl.perMove);
+    gameState.board = definition.serialize(gameState.board, now);
+    await updateGameState(sessionId, gameState);
+    handlers.onWarning({ message, gameState });
+  } else if (event.type === 'expiry') {
+    const board = definition.expireTimers(definition.deserialize(gameState.board, now), now);
+    gameState.board = definition.serialize(board, now);
+    await updateGameState(sessionId, gameState);
+    handlers.onUpdate(gameState);
+  }
+
+  scheduleClock(sessionId, gameState, handlers);
+}
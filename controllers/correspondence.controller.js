@@ -0,0 +1,214 @@
+import UserModel from '../models/User.model.js';
+import correspondenceModel from '../models/correspondence.model.js';
+import { getVariant } from '../validations/index.js';
+import { createGameSession, getSessionById, checkTimeForfeiture } from './session.controller.js';
+import { makeMove, getGameSync, getParticipantRole, abortGame, countPlayedMoves, withoutPremoves } from './game.controller.js';
+import { recordGameResult } from './result.controller.js';
+import { getVariantRating } from './rating.controller.js';
+
+// Correspondence (daily) games: each move may take up to daysPerMove days. They are
+// stored in MongoDB (see session.controller.js) and played over REST or the /game
+// socket. No server clock is armed for them; expireCorrespondenceGames, run on a
+// schedule, ends the games whose move deadline has passed.
+
+// Broadcast to everyone connected to a game over the /game socket namespace
+const gameRoom = (io, sessionId) => io?.of('/game').to(sessionId);
+
+// Persist a finished game's result and tell anyone connected
+async function finishCorrespondenceGame(io, sessionId, gameState) {
+    const outcome = await recordGameResult(sessionId, gameState);
+    gameRoom(io, sessionId)?.emit('game:end', { gameState: withoutPremoves(gameState), ratingChanges: outcome.ratingChanges || null });
+}
+
+// Controller function for POST /api/correspondence: start a correspondence game
+// against another user. Body: { opponentId, variant, subvariant, daysPerMove, color?, rated? }
+export const createCorrespondenceGame = async (req, res) => {
+    const { opponentId, variant = 'classic', subvariant = 'standard', daysPerMove, color, rated } = req.body || {};
+    const userId = req.userId;
+
+    if (!opponentId || opponentId === userId) {
+        return res.status(400).json({ success: false, message: 'Choose an opponent other than yourself' });
+    }
+    if (color !== undefined && color !== 'white' && color !== 'black') {
+        return res.status(400).json({ success: false, message: 'Color must be white or black' });
+    }
+
+    let definition;
+    try {
+        definition = getVariant(variant, subvariant);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    try {
+        const userDocs = await UserModel.find({ _id: { $in: [userId, opponentId] } }).select('_id name variantRatings');
+        if (userDocs.length !== 2) {
+            return res.status(404).json({ success: false, message: 'Player not found' });
+        }
+        const [player1, player2] = [userId, opponentId].map((id) => {
+            const userDoc = userDocs.find((doc) => doc._id.toString() === id);
+            return {
+                userId: id,
+                username: userDoc.name,
+                rating: Math.round(getVariantRating(userDoc, definition.variant, definition.subvariant).rating),
+            };
+        });
+
+        const game = await createGameSession(
+            player1,
+            player2,
+            definition.variant,
+            definition.subvariant,
+            { [userId]: 'correspondence', [opponentId]: 'correspondence' },
+            {
+                whiteUserId: color === 'white' ? userId : color === 'black' ? opponentId : undefined,
+                ...(rated !== undefined && { rated: Boolean(rated) }),
+                correspondence: { daysPerMove: Number(daysPerMove) },
+            }
+        );
+        if (!game.success) throw new Error(game.message || 'Failed to create game');
+
+        console.log(`[createCorrespondenceGame] ${userId} started ${game.sessionId} against ${opponentId} (${daysPerMove} days per move)`);
+        return res.status(201).json({ success: true, sessionId: game.sessionId, gameState: withoutPremoves(game.gameState) });
+    } catch (error) {
+        // createGameSession rejects bad days per move and variants that can't be played by correspondence
+        return res.status(400).json({ success: false, message: error.message });
+    }
+};
+
+// Controller function for GET /api/correspondence: the user's ongoing correspondence
+// games, the ones waiting on their move first, then by deadline
+export const listCorrespondenceGames = async (req, res) => {
+    const userId = req.userId;
+    try {
+        const stored = await correspondenceModel
+            .find({ status: 'active', $or: [{ 'players.white': userId }, { 'players.black': userId }] })
+            .sort({ moveDeadline: 1 })
+            .lean();
+
+        const games = stored.map((game) => {
+            const gameState = JSON.parse(game.gameState);
+            const color = game.players.white === userId ? 'white' : 'black';
+            const opponent = gameState.players[color === 'white' ? 'black' : 'white'];
+            return {
+                sessionId: game.sessionId,
+                variant: game.variant,
+                subvariant: game.subvariant,
+                daysPerMove: game.daysPerMove,
+                color,
+                opponent: { userId: opponent.userId, username: opponent.username, rating: opponent.rating },
+                turn: game.activeColor,
+                yourTurn: game.activeColor === color,
+                moveDeadline: game.moveDeadline,
+                moveCount: gameState.moves?.length || 0,
+                lastMove: gameState.lastMove?.san || null,
+            };
+        });
+        games.sort((a, b) => Number(b.yourTurn) - Number(a.yourTurn));
+
+        return res.status(200).json({ success: true, games });
+    } catch (error) {
+        console.error(`[listCorrespondenceGames] Failed for ${userId}:`, error);
+        return res.status(500).json({ success: false, message: 'Failed to load correspondence games' });
+    }
+};
+
+// Controller function for GET /api/correspondence/:sessionId: the same snapshot a
+// client gets from game:sync, for players and (if allowed) spectators
+export const getCorrespondenceGame = async (req, res) => {
+    const { sessionId } = req.params;
+    try {
+        const role = await getParticipantRole({ sessionId, userId: req.userId });
+        if (!role) {
+            return res.status(404).json({ success: false, message: 'Game not found' });
+        }
+        const sync = await getGameSync({ sessionId, userId: req.userId });
+        return res.status(200).json({ success: true, role, ...sync });
+    } catch (error) {
+        return res.status(404).json({ success: false, message: error.message });
+    }
+};
+
+// Controller function for POST /api/correspondence/:sessionId/moves: play a move.
+// Body: { move, moveId? }, with move as sent on game:makeMove
+export const submitCorrespondenceMove = async (req, res) => {
+    const { sessionId } = req.params;
+    const { move, moveId } = req.body || {};
+    const io = req.app.get('io');
+
+    const session = await getSessionById(sessionId);
+    if (!session?.gameState.metadata?.correspondence) {
+        return res.status(404).json({ success: false, message: 'Correspondence game not found' });
+    }
+    if (!move || typeof move !== 'object') {
+        return res.status(400).json({ success: false, message: 'Move is required' });
+    }
+
+    try {
+        const result = await makeMove({
+            sessionId,
+            userId: req.userId,
+            move,
+            timestamp: Date.now(),
+            moveId,
+        });
+        if (result.type === 'game:error') {
+            return res.status(400).json({ success: false, message: result.message });
+        }
+        if (result.type === 'game:warning') {
+            return res.status(422).json({ success: false, message: result.message });
+        }
+        if (result.duplicate) {
+            return res.status(200).json({ success: true, duplicate: true, moveId, ply: result.ply, move: result.moveRecord });
+        }
+
+        // Same broadcasts as a move over the socket
+        gameRoom(io, sessionId)?.emit('game:move', { move: result.move, gameState: withoutPremoves(result.gameState) });
+        if (result.premove) {
+            gameRoom(io, sessionId)?.emit('game:move', { move: result.premove.move, gameState: withoutPremoves(result.premove.gameState), premove: true });
+        }
+        const gameState = result.premove ? result.premove.gameState : result.gameState;
+        if (gameState.status === 'finished') {
+            await finishCorrespondenceGame(io, sessionId, gameState);
+        }
+
+        return res.status(200).json({ success: true, moveId, ply: result.ply, move: result.moveRecord, gameState: withoutPremoves(gameState) });
+    } catch (error) {
+        console.error(`[submitCorrespondenceMove] Failed for ${sessionId}:`, error);
+        return res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * Scheduled job: end every correspondence game whose side to move let the deadline pass.
+ * Like the real-time abort rule, a game where a side never made its first move is aborted
+ * (no rating change); otherwise the side to move loses on time.
+ * @param {Server} [io] - Socket.IO server, to tell connected clients
+ * @returns {Promise<number>} Number of games ended
+ */
+export async function expireCorrespondenceGames(io) {
+    const due = await correspondenceModel
+        .find({ status: 'active', moveDeadline: { $lte: new Date() } })
+        .select('sessionId')
+        .lean();
+
+    let ended = 0;
+    for (const { sessionId } of due) {
+        try {
+            const session = await getSessionById(sessionId);
+            if (!session || session.gameState.status !== 'active') continue;
+
+            const finished = countPlayedMoves(session.gameState) < 2
+                ? await abortGame({ sessionId })
+                : await checkTimeForfeiture(sessionId);
+            if (!finished?.gameState) continue;
+
+            await finishCorrespondenceGame(io, sessionId, finished.gameState);
+            ended++;
+            console.log(`[expireCorrespondenceGames] ${sessionId} ended: ${finished.gameState.result} (${finished.gameState.resultReason})`);
+        } catch (error) {
+            console.error(`[expireCorrespondenceGames] Failed to expire ${sessionId}:`, error);
+        }
+    }
+    return ended;
+}
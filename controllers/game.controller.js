@@ -1,43 +1,120 @@
-import {
-  getLegalMoves as legalMovesBlitz,
-  validateAndApplyMove as validateBlitz,
-} from "../validations/classic/blitz.js"
-import {
-  getLegalMoves as legalMovesBullet,
-  validateAndApplyMove as validateBullet,
-} from "../validations/classic/bullet.js"
-import {
-  validateAndApplyMove as validateStandard,
-  getLegalMoves as legalMovesStandard,
-} from "../validations/classic/standard.js"
-import {
-  getCrazyhouseStandardLegalMoves as legalMovesCzyStnd,
-  validateAndApplyCrazyhouseStandardMove as validateCzyStd,
-} from "../validations/crazyhouse/crazyhouseStandard.js"
-import {
-  validateAndApplyCrazyhouseMove as validateCzyTimer,
-  getCrazyhouseLegalMoves as legalMovesCzyTimer,
-  getCurrentCrazyhouseTimers,
-  serializeCrazyhouseState,
-  deserializeCrazyhouseState,
-  getPocketStatus,
-  getAvailableDropPieces,
-  expireDropPieces,
-} from "../validations/crazyhouse/crazyhouseTimer.js"
-import { getDecayLegalMoves, validateAndApplyDecayMove } from "../validations/decay.js"
-import {
-  getLegalMoves as legalMovesSixPointer,
-  validateAndApplyMove as validateSixPointer,
-  resetSixPointerTimer,
-} from "../validations/sixPointer.js"
-import { getSessionById, updateGameState } from "./session.controller.js"
-
-// Make a move
-export async function makeMove({ sessionId, userId, move, timestamp, variant, subvariant }) {
+import { getVariant } from "../validations/index.js"
+import { getSessionById, updateGameState, STALE_GAME_STATE, CORRESPONDENCE_DAY } from "./session.controller.js"
+import { getGameSource } from "./result.controller.js"
+import { applyCooldown } from "./matchmaking.controller.js"
+import { takeLagCompensation } from "./lag.controller.js"
+
+// Abort rule: white must make a first move, and black a first reply, within this long
+export const ABORT_TIMEOUT = 30 * 1000
+// Queue cooldown for the player who let a game abort
+const ABORT_COOLDOWN = 60 * 1000
+
+// Moves played in this session; moves imported with a custom position have no timestamp
+export function countPlayedMoves(gameState) {
+  return (gameState.moves || []).filter((move) => move.timestamp).length
+}
+
+// Session writes are compare-and-set (see updateGameState). An action whose write lost a
+// race with another update to the same game, such as a move racing a resignation, is
+// run again from a fresh read, and rejected if it keeps losing.
+const MAX_WRITE_ATTEMPTS = 3
+
+function retryOnConflict(action) {
+  return async (params) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await action(params)
+      } catch (error) {
+        if (error.code !== STALE_GAME_STATE || attempt >= MAX_WRITE_ATTEMPTS) throw error
+        console.warn(`[${action.name}] Session ${params.sessionId} changed mid-update, retrying`)
+      }
+    }
+  }
+}
+
+const MAX_MOVE_ID_LENGTH = 64
+
+// A takeback undoes at most the requester's last move and the opponent's reply
+const TAKEBACK_PLIES_KEPT = 2
+
+// Takebacks are only allowed in casual, non-tournament games
+function allowsTakebacks(gameState) {
+  return !gameState.metadata?.rated && getGameSource(gameState) !== "tournament"
+}
+
+// Move a restored board's timestamps forward by `delta` ms so its clocks and variant
+// timers (decay, drop timers, per-move clocks) resume from where they stood
+function shiftBoardTimestamps(board, delta) {
+  for (const field of ["turnStartTimestamp", "lastMoveTimestamp"]) {
+    if (typeof board[field] === "number") board[field] += delta
+  }
+  for (const color of ["white", "black"]) {
+    if (typeof board.timers?.[color]?.lastUpdateTime === "number") board.timers[color].lastUpdateTime += delta
+    // Crazyhouse withTimer stores running drop timers as expiry timestamps
+    const dropTimers = board.dropTimers?.[color]
+    if (dropTimers) {
+      for (const pieceId of Object.keys(dropTimers)) dropTimers[pieceId] += delta
+    }
+  }
+  return board
+}
+
+// Number of plies to undo so it is `color`'s turn again, right before their last move
+function takebackPlies(gameState, color) {
+  const moves = gameState.moves || []
+  if (moves.length === 0) throw new Error("There is no move to take back")
+  const plies = moves[moves.length - 1].color === color ? 1 : 2
+  if (plies > moves.length) throw new Error("There is no move to take back")
+  if (plies > (gameState.takebackSnapshots || []).length) throw new Error("That move can no longer be taken back")
+  return plies
+}
+
+// Queued premoves are private to their player; strip them from state that gets broadcast
+export function withoutPremoves(gameState) {
+  if (!gameState?.metadata?.premoves) return gameState
+  return { ...gameState, metadata: { ...gameState.metadata, premoves: { white: null, black: null } } }
+}
+
+// Per-move clock ran out (sixpointer): deduct a point and pass the turn to the opponent
+export function applyPerMoveTimeout(gameState, color, now, perMove) {
+  const opponentColor = color === "white" ? "black" : "white"
+  gameState.board.points = gameState.board.points || { white: 0, black: 0 }
+  gameState.board.points[color] = Math.max(0, (gameState.board.points[color] || 0) - 1)
+  gameState.board.timers.white.remaining = perMove
+  gameState.board.timers.black.remaining = perMove
+  gameState.board.timers.white.lastUpdateTime = now
+  gameState.board.timers.black.lastUpdateTime = now
+  gameState.board.activeColor = opponentColor
+  gameState.board.whiteTime = perMove
+  gameState.board.blackTime = perMove
+  // The turn passed without a move, so earlier moves can no longer be taken back
+  gameState.takebackSnapshots = []
+  if (gameState.metadata) {
+    gameState.metadata.takebackRequests = { white: false, black: false }
+    gameState.metadata.premoves = { white: null, black: null }
+  }
+  return `${color} timed out, 1 point deducted and turn passed to ${opponentColor}`
+}
+
+// Make a move. timestamp is the server receipt time and rtt the sender's measured round trip.
+// isPremove marks a queued premove being played right after the opponent's move.
+// moveId is an optional client-generated id that makes resubmitting the same move harmless.
+export const makeMove = retryOnConflict(async function makeMove({ sessionId, userId, move, timestamp, rtt, moveId, isPremove = false }) {
   console.log("Making move:", move, "for user:", userId, "at timestamp:", timestamp)
   const session = await getSessionById(sessionId)
   if (!session) return { type: "game:error", message: "Session not found" }
 
+  // A retried submission of a move that was already played gets the original result back
+  if (moveId != null) {
+    if (typeof moveId !== "string" || moveId.length === 0 || moveId.length > MAX_MOVE_ID_LENGTH) {
+      return { type: "game:warning", message: "Invalid moveId" }
+    }
+    const played = (session.gameState?.moves || []).find((m) => m.moveId === moveId)
+    if (played && session.gameState.players[played.color]?.userId === userId) {
+      return { duplicate: true, move: played, moveRecord: played, ply: played.ply, gameState: session.gameState }
+    }
+  }
+
   // Ensure gameState exists and is active
   if (!session.gameState || session.gameState.status !== "active") {
     return { type: "game:error", message: "Game is not active or invalid state" }
@@ -53,127 +130,56 @@ export async function makeMove({ sessionId, userId, move, timestamp, variant, su
   gameState.positionHistory = gameState.positionHistory || []
   gameState.metadata = gameState.metadata || {}
   gameState.metadata.drawOffers = gameState.metadata.drawOffers || { white: false, black: false }
-
-  // Initialize crazyhouse-specific properties if this is a crazyhouse game
-  if (variant === "crazyhouse") {
-    if (!gameState.board.pocketedPieces) {
-      gameState.board.pocketedPieces = { white: [], black: [] }
-    }
-    if (subvariant === "withTimer") {
-      // Deserialize Maps if they come from a plain object (e.g., database)
-      gameState.board = deserializeCrazyhouseState(gameState.board)
-      if (!gameState.board.dropTimers) {
-        gameState.board.dropTimers = { white: new Map(), black: new Map() }
-      }
-      if (!gameState.board.repetitionMap) {
-        gameState.board.repetitionMap = new Map()
-      }
-      gameState.board.whiteTime = gameState.board.whiteTime ?? 180000
-      gameState.board.blackTime = gameState.board.blackTime ?? 180000
-      gameState.board.increment = gameState.board.increment ?? 2000
-      gameState.board.turnStartTimestamp = gameState.board.turnStartTimestamp ?? timestamp
-      gameState.board.lastMoveTimestamp = gameState.board.lastMoveTimestamp ?? timestamp
-      gameState.board.gameStarted = gameState.board.gameStarted ?? false
-      gameState.board.firstMoveTimestamp = gameState.board.firstMoveTimestamp ?? null
-      if (!gameState.board.frozenPieces) {
-        gameState.board.frozenPieces = { white: [], black: [] }
-      }
-    }
+  gameState.metadata.premoves = gameState.metadata.premoves || { white: null, black: null }
+
+  // The session's own variant decides the rules, never what the client says it is playing
+  let definition
+  try {
+    definition = getVariant(gameState.variantName, gameState.subvariantName)
+  } catch (error) {
+    return { type: "game:error", message: error.message }
   }
 
-  const now = timestamp || Date.now()
+  // Charge the move at receipt time minus the sender's latency (capped, see lag.controller),
+  // never earlier than the turn began. Premoves already carry the opponent's move time.
+  const receivedAt = timestamp || Date.now()
+  const turnStart = Math.max(gameState.lastMove?.timestamp ?? 0, gameState.board.turnStartTimestamp ?? 0)
+  const now = isPremove ? receivedAt : Math.max(turnStart, receivedAt - takeLagCompensation(gameState, color, rtt))
+
+  // Keep the board as it stood before this move (and when this turn began) so a takeback can restore it
+  const snapshot = allowsTakebacks(gameState)
+    ? { board: structuredClone(gameState.board), turnStartedAt: gameState.lastMove?.timestamp ?? gameState.startedAt ?? now }
+    : null
+
+  // Restore any variant-specific structures (Maps, pockets) from the stored board
+  gameState.board = definition.deserialize(gameState.board, now)
 
-  // SixPointer timer logic
-  if (variant === "sixpointer") {
+  // Per-move clock logic (sixpointer)
+  const { perMove } = definition.timeControl
+  if (perMove) {
     if (!gameState.board.timers) {
       gameState.board.timers = {
-        white: { remaining: 30000, lastUpdateTime: now, isRunning: true },
-        black: { remaining: 30000, lastUpdateTime: now, isRunning: false },
+        white: { remaining: perMove, lastUpdateTime: now, isRunning: true },
+        black: { remaining: perMove, lastUpdateTime: now, isRunning: false },
       }
     }
-    gameState.board.whiteTime = gameState.board.whiteTime ?? 30000
-    gameState.board.blackTime = gameState.board.blackTime ?? 30000
+    gameState.board.whiteTime = gameState.board.whiteTime ?? perMove
+    gameState.board.blackTime = gameState.board.blackTime ?? perMove
 
-    const currentSixPointerPlayerTime = gameState.board.timers[color].remaining
+    const currentPlayerTime = gameState.board.timers[color].remaining
     const elapsed = now - (gameState.board.timers[color].lastUpdateTime || now)
-    gameState.board.timers[color].remaining = Math.max(0, currentSixPointerPlayerTime - elapsed)
+    gameState.board.timers[color].remaining = Math.max(0, currentPlayerTime - elapsed)
     gameState.board[`${color}Time`] = gameState.board.timers[color].remaining
 
     if (gameState.board.timers[color].remaining <= 0) {
-      const opponentColor = color === "white" ? "black" : "white"
-      gameState.board.points = gameState.board.points || { white: 0, black: 0 }
-      gameState.board.points[color] = Math.max(0, (gameState.board.points[color] || 0) - 1)
-      gameState.board.timers.white.remaining = 30000
-      gameState.board.timers.black.remaining = 30000
-      gameState.board.timers.white.lastUpdateTime = now
-      gameState.board.timers.black.lastUpdateTime = now
-      gameState.board.activeColor = opponentColor
-      gameState.board.whiteTime = 30000
-      gameState.board.blackTime = 30000
+      const message = applyPerMoveTimeout(gameState, color, now, perMove)
       await updateGameState(sessionId, gameState)
-      return {
-        type: "game:warning",
-        message: `${color} timed out, 1 point deducted and turn passed to ${opponentColor}`,
-        move: null,
-        gameState,
-      }
+      return { type: "game:warning", message, move: null, gameState }
     }
     gameState.board.timers[color].lastUpdateTime = now
   }
 
-  // Determine which validator and legal moves function to use
-  let validateFunc
-  let legalMovesFunc
-
-  if (variant === "classic") {
-    if (subvariant === "standard") {
-      validateFunc = validateStandard
-      legalMovesFunc = legalMovesStandard
-    } else if (subvariant === "blitz") {
-      validateFunc = validateBlitz
-      legalMovesFunc = legalMovesBlitz
-    } else if (subvariant === "bullet") {
-      validateFunc = validateBullet
-      legalMovesFunc = legalMovesBullet
-    }
-  } else if (variant === "crazyhouse") {
-    if (subvariant === "standard") {
-      validateFunc = validateCzyStd
-      legalMovesFunc = legalMovesCzyStnd
-    } else if (subvariant === "withTimer") {
-      validateFunc = validateCzyTimer
-      legalMovesFunc = legalMovesCzyTimer
-    }
-  } else if (variant === "sixpointer") {
-    validateFunc = validateSixPointer
-    legalMovesFunc = legalMovesSixPointer
-  } else if (variant === "decay") {
-    validateFunc = validateAndApplyDecayMove
-    legalMovesFunc = getDecayLegalMoves
-  }
-
-  if (!validateFunc || !legalMovesFunc) {
-    return { type: "game:error", message: "Invalid variant or subvariant" }
-  }
-
-  // For Crazyhouse variants, pass pocketedPieces for legal moves
-  let possibleMoves
-  if (variant === "crazyhouse" && subvariant === "standard") {
-    possibleMoves = legalMovesFunc(gameState.board.fen, gameState.board.pocketedPieces, color)
-  } else if (variant === "crazyhouse" && subvariant === "withTimer") {
-    // Before getting possible moves, ensure any expired pieces are handled
-    expireDropPieces(gameState.board, now)
-    possibleMoves = legalMovesFunc(
-      gameState.board.fen,
-      gameState.board.pocketedPieces,
-      gameState.board.dropTimers,
-      color,
-    )
-    console.log("Possible moves:", possibleMoves)
-    console.log("Move received:", move)
-  } else {
-    possibleMoves = legalMovesFunc(gameState.board.fen)
-  }
+  const possibleMoves = definition.getLegalMoves(gameState.board, color, now)
 
   console.log("Moves received:", move)
   const isMoveLegal =
@@ -193,7 +199,7 @@ export async function makeMove({ sessionId, userId, move, timestamp, variant, su
   }
 
   // Apply move using the variant-specific validator
-  const result = validateFunc(gameState.board, move, color, now)
+  const result = definition.validateMove(gameState.board, move, color, now)
   console.log("Move validation result from variant validator:", result)
 
   if (!result.valid) {
@@ -207,85 +213,54 @@ export async function makeMove({ sessionId, userId, move, timestamp, variant, su
 
   // Update game state using the *entire* state object returned by the validator
   gameState.board = result.state
-  gameState.moves.push(result.move)
   gameState.moveCount = (gameState.moveCount || 0) + 1
-  gameState.lastMove = result.move
   gameState.positionHistory.push(result.state.fen)
   gameState.gameState = result
 
-  // For SixPointer, reset timers after a valid move
-  if (variant === "sixpointer") {
+  // For per-move clocks, reset timers after a valid move
+  if (perMove) {
     const activeColor = gameState.board.activeColor
     const opponentColor = activeColor === "white" ? "black" : "white"
     
-    // Reset timer for next player (opponent) to 30 seconds
-    gameState.board.timers[opponentColor].remaining = 30000
+    // Reset timer for next player (opponent) to the per-move limit
+    gameState.board.timers[opponentColor].remaining = perMove
     gameState.board.timers[opponentColor].lastUpdateTime = now
-    gameState.board[`${opponentColor}Time`] = 30000
+    gameState.board[`${opponentColor}Time`] = perMove
     
     // Ensure current player's timer is properly tracked
     gameState.board.timers[activeColor].lastUpdateTime = now
     
-    console.log(`Resetting timer for ${opponentColor} to 30 seconds`)
-  } else if (variant === "classic" && subvariant === "blitz") {
-    const activeColor = gameState.board.activeColor
-    gameState.board[`${activeColor}Time`] += 2000
-  } else if (variant === "decay") {
-    const activeColor = gameState.board.activeColor
-    gameState.board[`${activeColor}Time`] += 2000
+    console.log(`Resetting timer for ${opponentColor} to ${perMove / 1000} seconds`)
+  } else if (gameState.metadata.correspondence) {
+    // Correspondence: every move gets the full days per move, so both clocks start over
+    const moveTime = gameState.metadata.correspondence.daysPerMove * CORRESPONDENCE_DAY
+    gameState.board.whiteTime = moveTime
+    gameState.board.blackTime = moveTime
   }
 
-  // For Crazyhouse withTimer, update pocket status and serialize state
-  if (variant === "crazyhouse" && subvariant === "withTimer") {
-    const nowForPocket = Date.now()
-    // 1. Update pocket status first
-    gameState.board.pocketStatus = {
-      white: getPocketStatus(gameState.board, "white", nowForPocket),
-      black: getPocketStatus(gameState.board, "black", nowForPocket),
-    }
-
-    // 2. Update available drops (only for active player)
-    const activeColor = gameState.board.activeColor
-    gameState.board.availableDropPieces = {
-      white: activeColor === "white" ? getAvailableDropPieces(gameState.board, "white", nowForPocket) : [],
-      black: activeColor === "black" ? getAvailableDropPieces(gameState.board, "black", nowForPocket) : [],
-    }
-
-    // 3. Update frozen pieces (preserving state)
-    const currentFrozen = gameState.board.frozenPieces || { white: [], black: [] }
-    gameState.board.frozenPieces = {
-      white: [...new Set([...currentFrozen.white, ...(gameState.board.pocketStatus.white.frozen || [])])],
-      black: [...new Set([...currentFrozen.black, ...(gameState.board.pocketStatus.black.frozen || [])])],
-    }
-
-    // 4. Serialize for storage
-    gameState.board.dropTimers = {
-      white: Object.fromEntries(gameState.board.dropTimers.white),
-      black: Object.fromEntries(gameState.board.dropTimers.black),
-    }
-    gameState.board.pocketedPieces = {
-      white: [...gameState.board.pocketedPieces.white],
-      black: [...gameState.board.pocketedPieces.black],
-    }
-
-    gameState.board = serializeCrazyhouseState(gameState.board)
+  // Convert variant-specific structures back for storage
+  gameState.board = definition.serialize(gameState.board, now)
+
+  // Record the move with when it was played and the clocks it left, for the game record
+  const moveRecord = {
+    ...result.move,
+    ply: gameState.moves.length + 1, // Half-move number, so clients can spot missed moves
+    ...(moveId && { moveId }),
+    color,
+    timestamp: now,
+    clocks: { white: gameState.board.whiteTime, black: gameState.board.blackTime },
   }
-
-  if (variant === "crazyhouse" && subvariant === "withTimer") {
-    // Clean up any expired timers
-    const nowForCleanup = Date.now();
-    expireDropPieces(gameState.board, nowForCleanup);
-    
-    // Clean up paused flags that are no longer needed
-    for (const color of ["white", "black"]) {
-      for (const piece of gameState.board.pocketedPieces[color]) {
-        if (piece.timerPaused && !piece.remainingTime) {
-          delete piece.timerPaused;
-          delete piece.remainingTime;
-        }
-      }
-    }
+  const variantData = definition.getVariantData(gameState.board)
+  if (variantData) moveRecord.variantData = variantData
+  if (isPremove) moveRecord.premove = true
+  gameState.moves.push(moveRecord)
+  gameState.lastMove = moveRecord
+
+  if (snapshot) {
+    gameState.takebackSnapshots = [...(gameState.takebackSnapshots || []), snapshot].slice(-TAKEBACK_PLIES_KEPT)
   }
+  // A move answers any pending takeback request
+  gameState.metadata.takebackRequests = { white: false, black: false }
 
   // Game end logic
   if (result.gameEnded) {
@@ -298,72 +273,102 @@ export async function makeMove({ sessionId, userId, move, timestamp, variant, su
     console.log("Game is still active, no end condition met")
   }
 
+  // Take the opponent's premove off the state; it is tried once this move is saved
+  const opponentColor = color === "white" ? "black" : "white"
+  const premove = gameState.status === "active" ? gameState.metadata.premoves[opponentColor] : null
+  gameState.metadata.premoves = { white: null, black: null }
+
   await updateGameState(sessionId, gameState)
   console.log("Game state after move:", gameState)
-  return { move: result.move, gameState }
-}
 
-// Get possible moves for a piece
-export async function getPossibleMoves({ sessionId, square, variant, subvariant }) {
-  console.log("Getting possible moves for square:", square)
+  // Bughouse: a captured piece goes to the partner's pocket on the linked board
+  const linkedSessionId = gameState.metadata.bughouse?.linkedSessionId
+  let linkedGameState = null
+  if (result.transfer && linkedSessionId) {
+    try {
+      linkedGameState = (await receivePartnerPiece({ sessionId: linkedSessionId, ...result.transfer }))?.gameState ?? null
+    } catch (error) {
+      console.error(`[makeMove] Failed to pass ${result.transfer.piece} to linked board ${linkedSessionId}:`, error)
+    }
+  }
+  const played = { move: result.move, moveRecord, ply: moveRecord.ply, gameState, ...(linkedGameState && { linkedGameState }) }
+
+  if (premove) {
+    try {
+      // Same timestamp as this move, so the premove costs its player (almost) no clock time
+      const premoveResult = await makeMove({
+        sessionId,
+        userId: gameState.players[opponentColor].userId,
+        move: premove,
+        timestamp: now,
+        isPremove: true,
+      })
+      // A premove that is no longer legal is dropped silently
+      if (premoveResult.move) {
+        return { ...played, premove: premoveResult }
+      }
+    } catch (error) {
+      console.error(`[makeMove] Premove failed for ${opponentColor} in ${sessionId}:`, error)
+    }
+  }
+  return played
+})
+
+// Bughouse: add a piece captured on the partner board to `color`'s pocket on this board
+export const receivePartnerPiece = retryOnConflict(async function receivePartnerPiece({ sessionId, piece, color }) {
   const session = await getSessionById(sessionId)
-  if (!session) throw new Error("Session not found")
+  if (!session || session.gameState.status !== "active") return null
 
   const { gameState } = session
+  gameState.board.pocketedPieces = gameState.board.pocketedPieces || { white: [], black: [] }
+  gameState.board.pocketedPieces[color].push(piece)
 
-  // Deserialize Maps if this is crazyhouse withTimer
-  if (variant === "crazyhouse" && subvariant === "withTimer") {
-    gameState.board = deserializeCrazyhouseState(gameState.board)
-    expireDropPieces(gameState.board, Date.now())
-  }
+  await updateGameState(sessionId, gameState)
+  return { gameState }
+})
 
-  const fen = gameState.board.fen
-  let legalMovesFunc
+// Bughouse: end the partner board of a board that just finished with the same team result.
+// Partners play opposite colours, so the winning team holds the other colour here.
+export const finishLinkedBoard = retryOnConflict(async function finishLinkedBoard({ sessionId, endedGameState }) {
+  const session = await getSessionById(sessionId)
+  if (!session || session.gameState.status !== "active") return null
 
-  if (variant === "classic") {
-    if (subvariant === "standard") {
-      legalMovesFunc = legalMovesStandard
-    } else if (subvariant === "blitz") {
-      legalMovesFunc = legalMovesBlitz
-    } else if (subvariant === "bullet") {
-      legalMovesFunc = legalMovesBullet
-    }
-  } else if (variant === "crazyhouse") {
-    if (subvariant === "standard") {
-      legalMovesFunc = legalMovesCzyStnd
-    } else if (subvariant === "withTimer") {
-      legalMovesFunc = legalMovesCzyTimer
-    }
-  } else if (variant === "sixpointer") {
-    legalMovesFunc = legalMovesSixPointer
-  } else if (variant === "decay") {
-    legalMovesFunc = getDecayLegalMoves
+  const { gameState } = session
+  const winner = endedGameState.winner === "white" ? "black" : endedGameState.winner === "black" ? "white" : null
+  gameState.status = "finished"
+  gameState.result = winner || endedGameState.result
+  gameState.resultReason = "partner_board"
+  gameState.winner = winner
+  gameState.endedAt = endedGameState.endedAt || Date.now()
+  gameState.metadata.bughouse.endedBy = {
+    sessionId: endedGameState.sessionId,
+    result: endedGameState.result,
+    resultReason: endedGameState.resultReason,
   }
 
-  if (!legalMovesFunc) {
-    throw new Error("Invalid variant or subvariant")
-  }
+  await updateGameState(sessionId, gameState)
+  return { gameState }
+})
 
-  let moves
-  if (variant === "crazyhouse") {
-    const playerColor = gameState.board.activeColor === "w" ? "white" : "black"
-    if (subvariant === "standard") {
-      moves = legalMovesFunc(fen, gameState.board.pocketedPieces, playerColor)
-    } else if (subvariant === "withTimer") {
-      moves = legalMovesFunc(fen, gameState.board.pocketedPieces, gameState.board.dropTimers, playerColor)
-    }
-    if (square === "pocket") {
-      return moves.filter((m) => m.from === "pocket")
-    }
-    return moves.filter((m) => m.from === square)
-  } else {
-    moves = legalMovesFunc(fen).filter((m) => m.from === square)
-  }
-  return moves
+// Get possible moves for a piece
+export async function getPossibleMoves({ sessionId, square }) {
+  console.log("Getting possible moves for square:", square)
+  const session = await getSessionById(sessionId)
+  if (!session) throw new Error("Session not found")
+
+  const { gameState } = session
+  const definition = getVariant(gameState.variantName, gameState.subvariantName)
+  const now = Date.now()
+
+  const board = definition.deserialize(gameState.board, now)
+  const moves = definition.getLegalMoves(board, board.activeColor, now)
+
+  // Drops are listed under the "pocket" pseudo-square
+  return moves.filter((m) => m.from === square)
 }
 
 // Get current game timers (especially useful for crazyhouse withTimer)
-export async function getCurrentTimers({ sessionId, variant, subvariant }) {
+export async function getCurrentTimers({ sessionId }) {
   const session = await getSessionById(sessionId)
   if (!session) return { type: "game:error", message: "Session not found" }
   if (!session.gameState) {
@@ -371,28 +376,88 @@ export async function getCurrentTimers({ sessionId, variant, subvariant }) {
   }
 
   const gameState = session.gameState
+  let definition
+  try {
+    definition = getVariant(gameState.variantName, gameState.subvariantName)
+  } catch (error) {
+    return { type: "game:error", message: error.message }
+  }
+
   const now = Date.now()
 
-  if (variant === "crazyhouse" && subvariant === "withTimer") {
-    if (!(gameState.board.dropTimers.white instanceof Map)) {
-      gameState.board = deserializeCrazyhouseState(gameState.board);
-    } 
-    const timers = getCurrentCrazyhouseTimers(gameState.board, now)
-    return { timers }
+  if (gameState.status !== "active") {
+    return {
+      timers: {
+        white: gameState.board.whiteTime || 0,
+        black: gameState.board.blackTime || 0,
+        activeColor: gameState.board.activeColor || "white",
+        gameEnded: true,
+      },
+    }
   }
 
+  const timers = definition.getTimers(definition.deserialize(gameState.board, now), now)
+  return { timers }
+}
+
+// Role a user may join a session's socket room with: "player", "spectator" (if the game
+// allows spectators) or null
+export async function getParticipantRole({ sessionId, userId }) {
+  const session = await getSessionById(sessionId)
+  if (!session) return null
+
+  const { gameState } = session
+  if (gameState.players.white.userId === userId || gameState.players.black.userId === userId) return "player"
+  return gameState.metadata?.allowSpectators ? "spectator" : null
+}
+
+// Full snapshot for a (re)connecting client: authoritative state, live clocks,
+// pocket/drop-timer status and pending draw offers
+export async function getGameSync({ sessionId, userId }) {
+  const session = await getSessionById(sessionId)
+  if (!session) throw new Error("Session not found")
+
+  const { gameState } = session
+  const definition = getVariant(gameState.variantName, gameState.subvariantName)
+  const now = Date.now()
+  const board = gameState.board
+
+  const color =
+    gameState.players.white.userId === userId ? "white" : gameState.players.black.userId === userId ? "black" : null
+
+  const timers =
+    gameState.status === "active"
+      ? definition.getTimers(definition.deserialize(structuredClone(board), now), now)
+      : { white: board.whiteTime || 0, black: board.blackTime || 0, activeColor: board.activeColor, gameEnded: true }
+
+  // Bughouse: the partner board is part of the same game
+  const linkedSessionId = gameState.metadata?.bughouse?.linkedSessionId
+  const linked = linkedSessionId ? await getSessionById(linkedSessionId) : null
+
   return {
-    timers: {
-      white: gameState.board.whiteTime || 0,
-      black: gameState.board.blackTime || 0,
-      activeColor: gameState.board.activeColor || "white",
-      gameEnded: gameState.status === "finished",
-    },
+    gameState: withoutPremoves(gameState),
+    color,
+    timers,
+    // Drop timers are absolute expiry timestamps; serverTime lets the client work out what is left
+    pockets: board.pocketedPieces
+      ? {
+          pocketedPieces: board.pocketedPieces,
+          pocketStatus: board.pocketStatus || null,
+          availableDropPieces: board.availableDropPieces || null,
+          frozenPieces: board.frozenPieces || null,
+          dropTimers: board.dropTimers || null,
+        }
+      : null,
+    drawOffers: gameState.metadata?.drawOffers || { white: false, black: false },
+    takebackRequests: gameState.metadata?.takebackRequests || { white: false, black: false },
+    premove: (color && gameState.metadata?.premoves?.[color]) || null,
+    ...(linkedSessionId && { linkedGameState: linked ? withoutPremoves(linked.gameState) : null }),
+    serverTime: now,
   }
 }
 
 // Resign (No changes needed, as it's a global game action)
-export async function resign({ sessionId, userId }) {
+export const resign = retryOnConflict(async function resign({ sessionId, userId }) {
   const session = await getSessionById(sessionId)
   if (!session) throw new Error("Session not found")
 
@@ -412,10 +477,106 @@ export async function resign({ sessionId, userId }) {
 
   await updateGameState(sessionId, gameState)
   return { gameState }
-}
+})
+
+// Forfeit a player who stayed disconnected past the grace period
+export const forfeitByAbandonment = retryOnConflict(async function forfeitByAbandonment({ sessionId, userId }) {
+  const session = await getSessionById(sessionId)
+  if (!session || session.gameState.status !== "active") return null
+  // Correspondence players aren't expected to stay connected; only the move deadline counts
+  if (session.gameState.metadata?.correspondence) return null
+
+  const { gameState } = session
+  const color =
+    gameState.players.white.userId === userId ? "white" : gameState.players.black.userId === userId ? "black" : null
+  if (!color) return null
+
+  const winner = color === "white" ? "black" : "white"
+  gameState.status = "finished"
+  gameState.result = winner
+  gameState.resultReason = "abandonment"
+  gameState.winner = winner
+  gameState.endedAt = Date.now()
+
+  await updateGameState(sessionId, gameState)
+  return { gameState }
+})
+
+// Abort a game where a side didn't make its first move in time: no winner, no rating change
+export const abortGame = retryOnConflict(async function abortGame({ sessionId }) {
+  const session = await getSessionById(sessionId)
+  if (!session || session.gameState.status !== "active") return null
+
+  const { gameState } = session
+  if (countPlayedMoves(gameState) >= 2) return null
+
+  const color = gameState.board.activeColor
+  gameState.status = "finished"
+  gameState.result = "aborted"
+  gameState.resultReason = "no_move"
+  gameState.winner = null
+  gameState.endedAt = Date.now()
+  gameState.metadata.abortedBy = color
+
+  await updateGameState(sessionId, gameState)
+
+  const userId = gameState.players[color].userId
+  try {
+    await applyCooldown(userId, ABORT_COOLDOWN)
+  } catch (error) {
+    console.error(`[abortGame] Failed to set cooldown for ${userId}:`, error)
+  }
+  return { gameState, color, userId }
+})
+
+// Queue one move to play as soon as the opponent has moved
+export const setPremove = retryOnConflict(async function setPremove({ sessionId, userId, move }) {
+  const session = await getSessionById(sessionId)
+  if (!session) throw new Error("Session not found")
+
+  const { gameState } = session
+  if (gameState.status !== "active") throw new Error("Game is not active")
+
+  const color =
+    gameState.players.white.userId === userId ? "white" : gameState.players.black.userId === userId ? "black" : null
+  if (!color) throw new Error("User not a player in this game")
+  if (gameState.board.activeColor === color) throw new Error("It is your turn, make the move instead")
+
+  if (!move || typeof move.to !== "string" || (move.drop !== true && typeof move.from !== "string")) {
+    throw new Error("Invalid premove")
+  }
+  // Keep only what makeMove reads; legality is checked when the premove is played
+  const premove =
+    move.drop === true
+      ? { drop: true, piece: move.piece, to: move.to, ...(move.id !== undefined && { id: move.id }) }
+      : { from: move.from, to: move.to, ...(move.promotion && { promotion: move.promotion }) }
+
+  gameState.metadata.premoves = gameState.metadata.premoves || { white: null, black: null }
+  gameState.metadata.premoves[color] = premove
+
+  await updateGameState(sessionId, gameState)
+  return { premove }
+})
+
+// Cancel your queued premove
+export const cancelPremove = retryOnConflict(async function cancelPremove({ sessionId, userId }) {
+  const session = await getSessionById(sessionId)
+  if (!session) throw new Error("Session not found")
+
+  const { gameState } = session
+  const color =
+    gameState.players.white.userId === userId ? "white" : gameState.players.black.userId === userId ? "black" : null
+  if (!color) throw new Error("User not a player in this game")
+
+  if (gameState.metadata.premoves?.[color]) {
+    gameState.metadata.premoves[color] = null
+    await updateGameState(sessionId, gameState)
+  }
+  return { premove: null }
+})
 
 // Offer draw (No changes needed)
-export async function offerDraw({ sessionId, userId }) {
+export const offerDraw = retryOnConflict(async function offerDraw({ sessionId, userId }) {
   const session = await getSessionById(sessionId)
   if (!session) throw new Error("Session not found")
 
@@ -430,10 +591,10 @@ export async function offerDraw({ sessionId, userId }) {
 
   await updateGameState(sessionId, gameState)
   return { gameState }
-}
+})
 
 // Accept draw (No changes needed)
-export async function acceptDraw({ sessionId, userId }) {
+export const acceptDraw = retryOnConflict(async function acceptDraw({ sessionId, userId }) {
   const session = await getSessionById(sessionId)
   if (!session) throw new Error("Session not found")
 
@@ -455,10 +616,10 @@ export async function acceptDraw({ sessionId, userId }) {
 
   await updateGameState(sessionId, gameState)
   return { gameState }
-}
+})
 
 // Decline draw (No changes needed)
-export async function declineDraw({ sessionId, userId }) {
+export const declineDraw = retryOnConflict(async function declineDraw({ sessionId, userId }) {
   const session = await getSessionById(sessionId)
   if (!session) throw new Error("Session not found")
 
@@ -474,5 +635,80 @@ export async function declineDraw({ sessionId, userId }) {
 
   await updateGameState(sessionId, gameState)
   return { gameState }
-}
+})
+
+// Request a takeback of your last move (casual games only)
+export const requestTakeback = retryOnConflict(async function requestTakeback({ sessionId, userId }) {
+  const session = await getSessionById(sessionId)
+  if (!session) throw new Error("Session not found")
+
+  const { gameState } = session
+  if (gameState.status !== "active") throw new Error("Game is not active")
+
+  const color =
+    gameState.players.white.userId === userId ? "white" : gameState.players.black.userId === userId ? "black" : null
+  if (!color) throw new Error("User not a player in this game")
+
+  if (!allowsTakebacks(gameState)) throw new Error("Takebacks are not allowed in rated or tournament games")
+  takebackPlies(gameState, color)
 
+  gameState.metadata.takebackRequests = gameState.metadata.takebackRequests || { white: false, black: false }
+  gameState.metadata.takebackRequests[color] = true
+
+  await updateGameState(sessionId, gameState)
+  return { gameState }
+})
+
+// Accept takeback: restore the board from before the opponent's last move
+export const acceptTakeback = retryOnConflict(async function acceptTakeback({ sessionId, userId }) {
+  const session = await getSessionById(sessionId)
+  if (!session) throw new Error("Session not found")
+
+  const { gameState } = session
+  if (gameState.status !== "active") throw new Error("Game is not active")
+
+  const color =
+    gameState.players.white.userId === userId ? "white" : gameState.players.black.userId === userId ? "black" : null
+  if (!color) throw new Error("User not a player in this game")
+
+  const oppColor = color === "white" ? "black" : "white"
+  if (!gameState.metadata.takebackRequests?.[oppColor]) throw new Error("No takeback request from opponent")
+  if (!allowsTakebacks(gameState)) throw new Error("Takebacks are not allowed in rated or tournament games")
+
+  const plies = takebackPlies(gameState, oppColor)
+  const snapshots = gameState.takebackSnapshots
+  const { board, turnStartedAt } = snapshots[snapshots.length - plies]
+
+  // The snapshot holds the board, clocks, pockets, drop/decay timers and points from before the move
+  gameState.board = shiftBoardTimestamps(board, Date.now() - turnStartedAt)
+  gameState.takebackSnapshots = snapshots.slice(0, snapshots.length - plies)
+  gameState.moves = gameState.moves.slice(0, -plies)
+  gameState.positionHistory = gameState.positionHistory.slice(0, -plies)
+  gameState.moveCount = Math.max(0, (gameState.moveCount || 0) - plies)
+  gameState.lastMove = gameState.moves[gameState.moves.length - 1] || null
+  gameState.metadata.takebackRequests = { white: false, black: false }
+  gameState.metadata.premoves = { white: null, black: null }
+
+  await updateGameState(sessionId, gameState)
+  return { gameState, plies }
+})
+
+// Decline takeback
+export const declineTakeback = retryOnConflict(async function declineTakeback({ sessionId, userId }) {
+  const session = await getSessionById(sessionId)
+  if (!session) throw new Error("Session not found")
+
+  const { gameState } = session
+  if (gameState.status !== "active") throw new Error("Game is not active")
+
+  const color =
+    gameState.players.white.userId === userId ? "white" : gameState.players.black.userId === userId ? "black" : null
+  if (!color) throw new Error("User not a player in this game")
+
+  const oppColor = color === "white" ? "black" : "white"
+  gameState.metadata.takebackRequests = gameState.metadata.takebackRequests || { white: false, black: false }
+  gameState.metadata.takebackRequests[oppColor] = false
+
+  await updateGameState(sessionId, gameState)
+  return { gameState }
+})
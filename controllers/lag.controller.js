@@ -0,0 +1,46 @@
+// Lag compensation. Each player's /game socket is pinged to estimate its round-trip
+// time, and a move is charged at server receipt time minus part of that latency.
+// The credit is capped per move and by a per-game quota, so a slow (or lying)
+// connection can't bank clock time.
+export const PING_INTERVAL = 5 * 1000;
+export const MAX_MOVE_COMPENSATION = 500; // Most a single move is credited, in ms
+export const LAG_QUOTA = 5 * 1000; // Most a player is credited over a whole game, in ms
+
+const RTT_SMOOTHING = 0.25; // Weight of the newest sample in the moving average
+const rttEstimates = new Map(); // socketId -> smoothed round-trip time in ms
+
+/**
+ * Record a ping round trip for a socket
+ */
+export function recordRtt(socketId, rtt) {
+  if (!Number.isFinite(rtt) || rtt < 0) return;
+  const previous = rttEstimates.get(socketId);
+  rttEstimates.set(socketId, previous === undefined ? rtt : previous + RTT_SMOOTHING * (rtt - previous));
+}
+
+/**
+ * Smoothed round-trip time for a socket, or 0 if it hasn't answered a ping yet
+ */
+export function getRtt(socketId) {
+  return rttEstimates.get(socketId) || 0;
+}
+
+export function forgetSocket(socketId) {
+  rttEstimates.delete(socketId);
+}
+
+/**
+ * Work out how much latency to credit a move and take it from the player's quota
+ * (tracked on gameState.metadata.lagCompensation, so it is saved with the move).
+ * @returns {number} ms to subtract from the move's receipt time
+ */
+export function takeLagCompensation(gameState, color, rtt) {
+  if (!rtt || rtt <= 0) return 0;
+  gameState.metadata.lagCompensation = gameState.metadata.lagCompensation || { white: 0, black: 0 };
+  const used = gameState.metadata.lagCompensation[color] || 0;
+
+  // The move spent about half the round trip in flight
+  const credit = Math.round(Math.min(rtt / 2, MAX_MOVE_COMPENSATION, Math.max(0, LAG_QUOTA - used)));
+  gameState.metadata.lagCompensation[color] = used + credit;
+  return credit;
+}
@@ -1,15 +1,32 @@
 import UserModel from "../../models/User.model.js";
+import { getVariant } from "../../validations/index.js";
 
+// Ranked by the variant's Glicko-2 rating: /api/leaderboard?variant=classic&subvariant=blitz
 export const v1LeaderboardController = async(req, res) => {
         try {
-            const users = await UserModel.find({})
-              .sort({ ratings: -1 })  
-              .select('_id email name ratings win lose');
-        
-            res.status(200).json({ success: true, users });
+            const { variant = 'classic', subvariant = 'standard' } = req.query;
+            let key;
+            try {
+                key = getVariant(variant, subvariant).key;
+            } catch (err) {
+                return res.status(400).json({ success: false, message: err.message });
+            }
+
+            const users = await UserModel.find({ [`variantRatings.${key}`]: { $exists: true } })
+              .sort({ [`variantRatings.${key}.rating`]: -1 })
+              .select('_id email name win lose variantRatings')
+              .lean();
+
+            res.status(200).json({
+              success: true,
+              variant: key,
+              users: users.map(({ variantRatings, ...user }) => {
+                const { rating, deviation, provisional, gamesPlayed } = variantRatings[key];
+                return { ...user, rating: Math.round(rating), deviation: Math.round(deviation), provisional, gamesPlayed };
+              }),
+            });
           } catch (err) {
             console.error('[GET /users/ratings]', err);
             res.status(500).json({ success: false, message: 'Internal Server Error' });
           }
 };
-
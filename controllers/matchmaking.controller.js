@@ -1,7 +1,10 @@
 import { Server } from 'socket.io';
 import UserModel from '../models/User.model.js';
 import redisClient from '../config/redis.config.js';
-import { createGameSession } from './session.controller.js';
+import { createGameSession, getTimeControlType, resolveTimeControl, TIME_CONTROL_CATEGORIES } from './session.controller.js';
+import { createBughouseGame } from './bughouse.controller.js';
+import { getVariant, hasVariant, listVariants } from '../validations/index.js';
+import { getVariantRating } from './rating.controller.js';
 // import gameModel from '../models/game.model.js'; // Commented out as per original code
 
 // Import tournament controller functions
@@ -15,21 +18,39 @@ import gameModel from '../models/game.model.js';
 
 // --- NEW EXPORTS FOR TOURNAMENT CONTROLLER ---
 // Define and export these here for use in tournament.controller.js
-export const REGULAR_QUEUE_KEYS_BY_VARIANT = {
-    'crazyhouse': 'queue:crazyhouse',
-    'sixpointer': 'queue:sixpointer',
-    'decay': 'queue:decay',
-    'classic:blitz': 'queue:classic:blitz',
-    'classic:bullet': 'queue:classic:bullet',
-    'classic:standard': 'queue:classic:standard',
+// Keyed by registry key ('classic:blitz', 'decay', ...); every registered variant gets one queue
+// per time-control category (see getTimeControlType), e.g. 'queue:decay:blitz'
+export const REGULAR_QUEUE_KEYS_BY_VARIANT = Object.fromEntries(
+    listVariants().map((definition) => [
+        definition.key,
+        TIME_CONTROL_CATEGORIES.map((category) => `${definition.queueKey}:${category}`),
+    ])
+);
+
+/**
+ * Resolve the regular queue key for a variant/subvariant and clock, or null if the variant is not registered.
+ * Without a clock ({ base, increment }), the variant's own time control picks the queue.
+ */
+export const getRegularQueueKey = (variant, subvariant, timeControl) => {
+    if (!hasVariant(variant, subvariant)) return null;
+    const definition = getVariant(variant, subvariant);
+    return `${definition.queueKey}:${getTimeControlType(timeControl || definition.timeControl)}`;
+};
+
+/**
+ * Clock a queued user asked for. Tournament entries don't choose one and play the variant's own.
+ * @param {Object} userData - Queue entry from Redis (regular or tournament)
+ * @returns {{ base: number, increment: number }|null} null if the entry's variant is not registered
+ */
+export const getQueuedTimeControl = (userData) => {
+    if (!hasVariant(userData.variant, userData.subvariant || null)) return null;
+    if (!userData.baseTime) return resolveTimeControl(userData.variant, userData.subvariant || null);
+    return { base: parseInt(userData.baseTime), increment: parseInt(userData.increment) };
 };
 export const REGULAR_USER_DATA_KEY = (userId) => `queueuser:${userId}`;
 // --- END NEW EXPORTS ---
 
 
-// Supported variants
-const VARIANTS = ['crazyhouse', 'sixpointer', 'decay', 'classic'];
-
 // Cooldown in ms
 const REJOIN_COOLDOWN = 10 * 1000;
 // Idle timeout in ms
@@ -42,7 +63,18 @@ const RANK_WINDOW = 10 * 1000;
 //     return REGULAR_QUEUE_KEYS_BY_VARIANT[variant] || `queue:${variant}`;
 // };
 const userKey = (userId) => `queueuser:${userId}`; // For regular queue users
+const sameClock = (a, b) => a.base === b.base && a.increment === b.increment;
 const cooldownKey = (userId) => `cooldown:${userId}`;
+
+/**
+ * Keep a user out of the regular queue for a while (e.g. after a game was aborted on them)
+ * @returns {Promise<number>} When the cooldown ends
+ */
+export async function applyCooldown(userId, duration = REJOIN_COOLDOWN) {
+    const cooldownUntil = Date.now() + duration;
+    await redisClient.set(cooldownKey(userId), cooldownUntil, { EX: Math.ceil(duration / 1000) });
+    return cooldownUntil;
+}
 /**
  * Helper: Centralized match initiation function
  * This function is now more robust to determine the game variant and clean up queues.
@@ -65,21 +97,25 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
     // If both are regular, it uses player1's. If both are tournament, it uses player1's (tournament rules).
     let gameVariant;
     let gameSubvariant;
+    let gameTimeControl; // { base, increment }, taken from the same player as the variant
 
     if (player1IsTournament && !player2IsTournament) {
         // Tournament player matched with regular player -> use regular player's variant
         gameVariant = player2Data.variant;
         gameSubvariant = player2Data.subvariant;
+        gameTimeControl = getQueuedTimeControl(player2Data);
         console.log(`[initiateMatch] Cross-queue match (T vs R). Game variant: ${gameVariant} ${gameSubvariant}`);
     } else if (!player1IsTournament && player2IsTournament) {
         // Regular player matched with tournament player -> use regular player's variant
         gameVariant = player1Data.variant; // Player1 is the regular player here
         gameSubvariant = player1Data.subvariant;
+        gameTimeControl = getQueuedTimeControl(player1Data);
         console.log(`[initiateMatch] Cross-queue match (R vs T). Game variant: ${gameVariant} ${gameSubvariant}`);
     } else {
         // Both are regular OR both are tournament -> use player1's variant
         gameVariant = player1Data.variant;
         gameSubvariant = player1Data.subvariant;
+        gameTimeControl = getQueuedTimeControl(player1Data);
         console.log(`[initiateMatch] Same-queue match. Game variant: ${gameVariant} ${gameSubvariant}`);
     }
 
@@ -97,8 +133,8 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
                 await redisClient.zRem(TOURNAMENT_QUEUE_KEY, userData.userId);
             }
         } else {
-            // Use REGULAR_QUEUE_KEYS_BY_VARIANT to get the correct queue key
-            const specificQueueKey = userData.variant === 'classic' ? REGULAR_QUEUE_KEYS_BY_VARIANT[`classic:${userData.subvariant}`] : REGULAR_QUEUE_KEYS_BY_VARIANT[userData.variant];
+            // Resolve the queue key through the variant registry
+            const specificQueueKey = getRegularQueueKey(userData.variant, userData.subvariant, getQueuedTimeControl(userData));
             if (specificQueueKey) {
                  await redisClient.zRem(specificQueueKey, userData.userId);
             } else {
@@ -120,8 +156,8 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
     // Fetch user details for both users
     let userDoc1, userDoc2;
     try {
-        userDoc1 = await UserModel.findById(userId1).select('_id name ratings');
-        userDoc2 = await UserModel.findById(userId2).select('_id name ratings');
+        userDoc1 = await UserModel.findById(userId1).select('_id name variantRatings');
+        userDoc2 = await UserModel.findById(userId2).select('_id name variantRatings');
     } catch (err) {
         console.error(`[initiateMatch] Error fetching user details:`, err);
         player1Socket.emit('queue:error', { message: 'Failed to fetch opponent details.' });
@@ -137,8 +173,8 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
     }
 
     // Get ratings based on the determined gameVariant
-    const p1Rating = userDoc1.ratings
-    const p2Rating = userDoc2.ratings
+    const p1Rating = Math.round(getVariantRating(userDoc1, gameVariant, gameSubvariant).rating);
+    const p2Rating = Math.round(getVariantRating(userDoc2, gameVariant, gameSubvariant).rating);
 
 
     const player1 = {
@@ -165,7 +201,8 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
         player2,
         gameVariant.toLowerCase(),
         gameSubvariant,
-        source  // Now passing the source object instead of a single string
+        source,  // Now passing the source object instead of a single string
+        { timeControl: gameTimeControl }
     );    
 
     console.log(`[initiateMatch] Created game session: ${sessionId}`);
@@ -200,12 +237,14 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
 /**
  * Add user to matchmaking queue (sorted set by rank, with join time as tiebreaker)
  * This function is for non-tournament players choosing a specific variant.
- * @param {Object} params - { userId, socketId, rank, variant, subvariant }
+ * Players are only matched with others who asked for the same clock.
+ * @param {Object} params - { userId, socketId, rank, variant, subvariant, timeControl? }
+ *   timeControl is { base, increment } in ms; the variant's own clock if omitted
  * @param {Server} io - Socket.IO server instance
  */
-export async function joinQueue({ userId, socketId, variant, subvariant, io }) {
+export async function joinQueue({ userId, socketId, variant, subvariant, timeControl, io }) {
     try {
-        console.log(`[joinQueue] userId=${userId}, socketId=${socketId}, variant=${variant}, subvariant=${subvariant}`);
+        console.log(`[joinQueue] userId=${userId}, socketId=${socketId}, variant=${variant}, subvariant=${subvariant}, timeControl=${JSON.stringify(timeControl)}`);
 
         // Check cooldown
         const cooldown = await redisClient.get(cooldownKey(userId));
@@ -216,7 +255,7 @@ export async function joinQueue({ userId, socketId, variant, subvariant, io }) {
         }
 
         // Clean up any existing queue data for this user first from regular queues
-        // This function already iterates through VARIANTS which implies all regular queues.
+        // This function already iterates through REGULAR_QUEUE_KEYS_BY_VARIANT which implies all regular queues.
         await cleanupUserFromAllQueues(userId);
 
         // Also ensure they are not in the tournament queue if they explicitly join a regular queue
@@ -236,8 +275,26 @@ export async function joinQueue({ userId, socketId, variant, subvariant, io }) {
             return;
         }
 
-        let rank = userDoc.ratings
-        
+        // Rank by the rating for the variant being queued for
+        if (!hasVariant(variant, subvariant)) {
+            console.error(`[joinQueue] Unknown variant: ${variant}, subvariant: ${subvariant}`);
+            io.to(socketId).emit('queue:error', { message: 'Failed to join queue: invalid variant/subvariant.' });
+            return;
+        }
+        const rank = Math.round(getVariantRating(userDoc, variant, subvariant).rating);
+
+        // Team variants (bughouse) are only queued with their own clock, so any four waiting players fit
+        if (timeControl && getVariant(variant, subvariant).playersPerGame > 2) {
+            io.to(socketId).emit('queue:error', { message: 'Failed to join queue: team games use the variant\'s own time control.' });
+            return;
+        }
+        let clock;
+        try {
+            clock = resolveTimeControl(variant, subvariant, timeControl);
+        } catch (err) {
+            io.to(socketId).emit('queue:error', { message: `Failed to join queue: ${err.message}` });
+            return;
+        }
 
         const now = Date.now();
         const score = parseFloat(rank) + (now / 1e13); // Ensure rank is float for score calculation
@@ -248,12 +305,14 @@ export async function joinQueue({ userId, socketId, variant, subvariant, io }) {
             rank: rank.toString(), // Store as string
             variant,
             subvariant: subvariant || '',
+            baseTime: clock.base.toString(),
+            increment: clock.increment.toString(),
             joinTime: now.toString(), // Store as string
             status: 'waiting',
         });
 
-        // Use the full queue key from REGULAR_QUEUE_KEYS_BY_VARIANT for zAdd
-        const fullQueueKey = variant === 'classic' ? REGULAR_QUEUE_KEYS_BY_VARIANT[`classic:${subvariant}`] : REGULAR_QUEUE_KEYS_BY_VARIANT[variant];
+        // Resolve the full queue key through the variant registry for zAdd
+        const fullQueueKey = getRegularQueueKey(variant, subvariant, clock);
         if (!fullQueueKey) {
             console.error(`[joinQueue] Could not determine Redis queue key for variant: ${variant}, subvariant: ${subvariant}`);
             io.to(socketId).emit('queue:error', { message: 'Failed to join queue: invalid variant/subvariant.' });
@@ -262,6 +321,16 @@ export async function joinQueue({ userId, socketId, variant, subvariant, io }) {
         await redisClient.zAdd(fullQueueKey, [{ score, value: userId }]);
         console.log(`[joinQueue] User ${userId} added to regular queue ${fullQueueKey} with rank ${rank}`);
 
+        // Team variants (bughouse) wait for a full table instead of a single opponent
+        if (getVariant(variant, subvariant).playersPerGame > 2) {
+            try {
+                await tryMatchTeamQueue(variant, subvariant, io);
+            } catch (err) {
+                console.error(`[joinQueue] Error in tryMatchTeamQueue for user ${userId}:`, err);
+            }
+            return;
+        }
+
         // Try to match immediately when user joins
         try {
             const matchFound = await tryMatchRegularUser(userId, variant, io, true); // This is for regular users matching with other regular users
@@ -291,7 +360,7 @@ export async function joinQueue({ userId, socketId, variant, subvariant, io }) {
 export async function cleanupUserFromAllQueues(userId) {
     try {
         // Iterate through all possible regular queue keys defined.
-        for (const key of Object.values(REGULAR_QUEUE_KEYS_BY_VARIANT)) {
+        for (const key of Object.values(REGULAR_QUEUE_KEYS_BY_VARIANT).flat()) {
             await redisClient.zRem(key, userId);
         }
         await redisClient.del(userKey(userId));
@@ -328,7 +397,8 @@ async function tryMatchRegularUser(userId, variant, io, byRank) {
 
     // --- 1. Search in Regular Queue (Same Variant/Subvariant) ---
     // Use the specific queue key for the user's preferred variant/subvariant
-    const specificRegularQueueKey = user.variant === 'classic' ? REGULAR_QUEUE_KEYS_BY_VARIANT[`classic:${user.subvariant}`] : REGULAR_QUEUE_KEYS_BY_VARIANT[user.variant];
+    const userClock = getQueuedTimeControl(user);
+    const specificRegularQueueKey = getRegularQueueKey(user.variant, user.subvariant, userClock);
 
     if (!specificRegularQueueKey) {
         console.error(`[tryMatchRegularUser] Invalid specific regular queue key for variant: ${user.variant}, subvariant: ${user.subvariant}`);
@@ -356,7 +426,9 @@ async function tryMatchRegularUser(userId, variant, io, byRank) {
         if (other && other.status === 'waiting') {
             // Crucial: for regular-to-regular matches, always match exact variant and subvariant
             // This implicitly filters for classic subvariants as well because specificRegularQueueKey already targets it.
-            if (other.variant === user.variant && other.subvariant === user.subvariant) {
+            // The queue only narrows the clock down to its category, so base and increment are compared too.
+            if (other.variant === user.variant && other.subvariant === user.subvariant
+                && sameClock(getQueuedTimeControl(other), userClock)) {
                 const otherSocket = io.sockets.get(other.socketId);
                 if (otherSocket) {
                     validRegularCandidates.push(other); // Push the full data object for easier access
@@ -433,6 +505,119 @@ async function tryMatchRegularUser(userId, variant, io, byRank) {
     return false;
 }
 
+/**
+ * Try to start a team game from a four-player queue (bughouse).
+ * Takes the longest-waiting connected players and balances the teams by rating:
+ * the strongest and weakest player against the middle two.
+ * @param {string} variant
+ * @param {string} subvariant
+ * @param {Server} io
+ * @returns {boolean} - true if a game was started
+ */
+async function tryMatchTeamQueue(variant, subvariant, io) {
+    const queueKey = getRegularQueueKey(variant, subvariant);
+    const { playersPerGame } = getVariant(variant, subvariant);
+
+    const waiting = [];
+    for (const id of await redisClient.zRange(queueKey, 0, -1)) {
+        const other = await redisClient.hGetAll(userKey(id));
+        if (!other || other.status !== 'waiting') {
+            await redisClient.zRem(queueKey, id);
+        } else if (!io.sockets.get(other.socketId)) {
+            console.log(`[tryMatchTeamQueue] Cleaning up disconnected user ${id}`);
+            await leaveQueue(id);
+        } else {
+            waiting.push(other);
+        }
+    }
+    if (waiting.length < playersPerGame) {
+        console.log(`[tryMatchTeamQueue] ${waiting.length}/${playersPerGame} players waiting in ${queueKey}`);
+        return false;
+    }
+
+    const players = waiting
+        .sort((a, b) => parseInt(a.joinTime) - parseInt(b.joinTime))
+        .slice(0, playersPerGame);
+
+    // Claim the players; if a concurrent match took one of them first, put the rest back
+    const claimed = [];
+    for (const player of players) {
+        if (await redisClient.zRem(queueKey, player.userId)) claimed.push(player);
+    }
+    if (claimed.length < playersPerGame) {
+        for (const player of claimed) {
+            const score = parseFloat(player.rank) + (parseInt(player.joinTime) / 1e13);
+            await redisClient.zAdd(queueKey, [{ score, value: player.userId }]);
+        }
+        return false;
+    }
+    for (const player of players) {
+        await redisClient.del(userKey(player.userId));
+        await redisClient.set(cooldownKey(player.userId), Date.now() + REJOIN_COOLDOWN, { EX: REJOIN_COOLDOWN / 1000 });
+    }
+
+    const sockets = Object.fromEntries(players.map((player) => [player.userId, io.sockets.get(player.socketId)]));
+    const emitToAll = (event, payload) => Object.values(sockets).forEach((socket) => socket?.emit(event, payload));
+
+    let entrants;
+    try {
+        entrants = await Promise.all(players.map(async (player) => {
+            const userDoc = await UserModel.findById(player.userId).select('_id name variantRatings');
+            if (!userDoc) throw new Error(`User ${player.userId} not found`);
+            return {
+                userId: userDoc._id.toString(),
+                username: userDoc.name,
+                rating: Math.round(getVariantRating(userDoc, variant, subvariant).rating),
+            };
+        }));
+    } catch (err) {
+        console.error(`[tryMatchTeamQueue] Error fetching user details:`, err);
+        emitToAll('queue:error', { message: 'Failed to fetch player details.' });
+        return false;
+    }
+
+    const [first, second, third, fourth] = [...entrants].sort((a, b) => b.rating - a.rating);
+    const team1 = [first, fourth];
+    const team2 = [second, third];
+    const source = Object.fromEntries(entrants.map((player) => [player.userId, 'matchmaking']));
+
+    let boards;
+    try {
+        boards = await createBughouseGame(team1, team2, source);
+    } catch (err) {
+        console.error(`[tryMatchTeamQueue] Error creating bughouse game:`, err);
+        emitToAll('queue:error', { message: 'Failed to start the game.' });
+        return false;
+    }
+    console.log(`[tryMatchTeamQueue] Created bughouse game: ${boards.A.sessionId} / ${boards.B.sessionId}`);
+
+    for (const [team, opponents] of [[team1, team2], [team2, team1]]) {
+        for (const player of team) {
+            const board = boards.A.gameState.players.white.userId === player.userId
+                || boards.A.gameState.players.black.userId === player.userId ? 'A' : 'B';
+            const { sessionId, gameState } = boards[board];
+            const opponent = Object.values(gameState.players).find((p) => p.userId !== player.userId);
+            const teammate = team.find((p) => p.userId !== player.userId);
+            sockets[player.userId]?.emit('queue:matched', {
+                opponent: { userId: opponent.userId, name: opponent.username },
+                teammate: { userId: teammate.userId, name: teammate.username },
+                opponents: opponents.map((p) => ({ userId: p.userId, name: p.username })),
+                variant,
+                sessionId,
+                gameState,
+                board,
+                linkedSessionId: boards[board === 'A' ? 'B' : 'A'].sessionId,
+                subvariant,
+                tournamentMatch: false,
+                source: 'matchmaking'
+            });
+        }
+    }
+
+    console.log(`[Matched] Bughouse game: ${team1.map((p) => p.userId).join(' & ')} vs ${team2.map((p) => p.userId).join(' & ')}`);
+    return true;
+}
+
 /**
  * Remove user from queue (on disconnect or manual leave)
  * EXPORTED for use by socket handlers and other controllers.
@@ -448,7 +633,7 @@ export async function leaveQueue(userId) {
         }
 
         // Remove from the specific queue they were in
-        const specificQueueKey = user.variant === 'classic' ? REGULAR_QUEUE_KEYS_BY_VARIANT[`classic:${user.subvariant}`] : REGULAR_QUEUE_KEYS_BY_VARIANT[user.variant];
+        const specificQueueKey = getRegularQueueKey(user.variant, user.subvariant, getQueuedTimeControl(user));
         if (specificQueueKey) {
             await redisClient.zRem(specificQueueKey, userId);
             console.log(`[leaveQueue] User ${userId} removed from regular queue: ${specificQueueKey}.`);
@@ -513,7 +698,7 @@ export async function handleDisconnect(userId, socketId) {
 export async function cleanupIdleUsers() {
     try {
         // Iterate through all actual queue keys, not just variants, to catch classic subvariants
-        for (const queueKeyString of Object.values(REGULAR_QUEUE_KEYS_BY_VARIANT)) {
+        for (const queueKeyString of Object.values(REGULAR_QUEUE_KEYS_BY_VARIANT).flat()) {
             const queue = await redisClient.zRange(queueKeyString, 0, -1);
             for (const userId of queue) {
                 const user = await redisClient.hGetAll(userKey(userId));
@@ -0,0 +1,237 @@
+import { Chess } from 'chess.js';
+import gameModel from '../models/game.model.js';
+import { getSessionById } from './session.controller.js';
+import { buildGameRecord } from './result.controller.js';
+
+const STANDARD_START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const MAX_LINE_LENGTH = 80;
+
+// PGN "Variant" tag values; anything not listed falls back to the capitalised variant name
+const PGN_VARIANT_NAMES = {
+    classic: 'Standard',
+    crazyhouse: 'Crazyhouse',
+    decay: 'Decay',
+    chess960: 'Chess960',
+    threecheck: 'Three-check',
+    kingofthehill: 'King of the Hill',
+    atomic: 'Atomic',
+    antichess: 'Antichess',
+    bughouse: 'Bughouse',
+    sixpointer: 'Six Pointer',
+};
+
+const PIECE_NAMES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+
+const escapeTag = (value) => String(value ?? '?').replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+const capitalise = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// PGN dates are YYYY.MM.DD with "??" for unknown parts
+function formatPgnDate(date) {
+    if (!date) return '????.??.??';
+    const d = new Date(date);
+    return `${d.getUTCFullYear()}.${String(d.getUTCMonth() + 1).padStart(2, '0')}.${String(d.getUTCDate()).padStart(2, '0')}`;
+}
+
+// %clk takes H:MM:SS
+function formatClock(ms) {
+    const totalSeconds = Math.max(0, Math.floor((ms || 0) / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+// Seconds-based TimeControl tag: "180+2", or "1/30" for a fixed time per move
+function formatTimeControl(timeControl) {
+    if (!timeControl) return '-';
+    if (timeControl.perMove) return `1/${timeControl.perMove / 1000}`;
+    return `${(timeControl.baseTime ?? 0) / 1000}+${(timeControl.increment ?? 0) / 1000}`;
+}
+
+function formatResult(record, finished) {
+    if (!finished || record.result === 'aborted') return '*';
+    if (record.winnerColor === 'white') return '1-0';
+    if (record.winnerColor === 'black') return '0-1';
+    return '1/2-1/2';
+}
+
+function formatTermination(record, finished) {
+    if (!finished) return 'unterminated';
+    if (record.resultReason === 'time_forfeit' || record.resultReason === 'timeout') return 'time forfeit';
+    if (record.resultReason === 'abandonment' || record.result === 'aborted') return 'abandoned';
+    return 'normal';
+}
+
+// Decay: squares that became frozen with this move, named from the position after it
+function describeFreezes(move, previousMove) {
+    const frozen = move.variantData?.frozenPieces;
+    if (!frozen) return [];
+    const before = previousMove?.variantData?.frozenPieces || { white: [], black: [] };
+    const board = move.fen ? new Chess(move.fen) : null;
+
+    const events = [];
+    for (const color of ['white', 'black']) {
+        for (const square of frozen[color] || []) {
+            if ((before[color] || []).includes(square)) continue;
+            const piece = board?.get(square);
+            events.push(`${capitalise(color)} ${piece ? PIECE_NAMES[piece.type] : 'piece'} on ${square} frozen`);
+        }
+    }
+    return events;
+}
+
+// SixPointer: point totals whenever they change
+function describePoints(move, previousMove) {
+    const points = move.variantData?.points;
+    if (!points) return [];
+    const before = previousMove?.variantData?.points || { white: 0, black: 0 };
+    if (points.white === before.white && points.black === before.black) return [];
+    return [`Points: White ${points.white}, Black ${points.black}`];
+}
+
+// Three-check: the running check count after each check, as "+N+M" like the FEN
+function describeChecks(move, previousMove) {
+    const checks = move.variantData?.checks;
+    if (!checks) return [];
+    const before = previousMove?.variantData?.checks || { white: 0, black: 0 };
+    if (checks.white === before.white && checks.black === before.black) return [];
+    return [`Checks: +${checks.white}+${checks.black}`];
+}
+
+// Join tokens into lines of at most MAX_LINE_LENGTH characters
+function wrapMovetext(tokens) {
+    const lines = [];
+    let line = '';
+    for (const token of tokens.join(' ').split(' ')) {
+        if (line && line.length + 1 + token.length > MAX_LINE_LENGTH) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    }
+    if (line) lines.push(line);
+    return lines.join('\n');
+}
+
+/**
+ * Build a PGN for a game record (see buildGameRecord / the Game model).
+ * @param {Object} record - Game fields: variant, subvariant, moves, initialFen, timeControl, outcome...
+ * @param {{ white: string, black: string }} names - Player display names
+ * @returns {string}
+ */
+export function buildPgn(record, names = {}) {
+    const finished = Boolean(record.endedAt) && record.result !== 'ongoing';
+    const result = formatResult(record, finished);
+    const variantName = PGN_VARIANT_NAMES[record.variant] || capitalise(record.variant || 'classic');
+    const initialFen = record.initialFen || STANDARD_START_FEN;
+
+    const tags = [
+        ['Event', `${record.rated ? 'Rated' : 'Casual'} ${[record.variant, record.subvariant].filter(Boolean).join(' ')} game`],
+        ['Site', '?'],
+        ['Date', formatPgnDate(record.startedAt)],
+        ['Round', '-'],
+        ['White', names.white || '?'],
+        ['Black', names.black || '?'],
+        ['Result', result],
+        ['Variant', variantName],
+        ['TimeControl', formatTimeControl(record.timeControl)],
+        ['Termination', formatTermination(record, finished)],
+    ];
+    // Non-standard starting positions (sixpointer, imported games) need SetUp/FEN to replay
+    if (initialFen !== STANDARD_START_FEN) {
+        tags.push(['SetUp', '1'], ['FEN', initialFen]);
+    }
+
+    const [, sideToMove, , , , fullmove] = initialFen.split(' ');
+    let moveNumber = Number.parseInt(fullmove) || 1;
+    let colorToMove = sideToMove === 'b' ? 'black' : 'white';
+    let needsNumber = true; // Black moves need "N..." at the start and after a comment
+
+    const tokens = [];
+    const pushMove = (san, color) => {
+        if (color === 'white') {
+            tokens.push(`${moveNumber}.`);
+        } else if (needsNumber) {
+            tokens.push(`${moveNumber}...`);
+        }
+        tokens.push(san);
+        needsNumber = false;
+        if (color === 'black') moveNumber++;
+        colorToMove = color === 'white' ? 'black' : 'white';
+    };
+
+    (record.moves || []).forEach((move, index) => {
+        const color = move.color === 'w' ? 'white' : move.color === 'b' ? 'black' : move.color || colorToMove;
+        // A side lost its turn without moving (sixpointer per-move timeout): null move
+        if (color !== colorToMove) {
+            pushMove('--', colorToMove);
+            tokens.push('{ Turn passed on time }');
+            needsNumber = true;
+        }
+        pushMove(move.san, color);
+
+        const previousMove = index > 0 ? record.moves[index - 1] : null;
+        const comments = [];
+        if (move.clocks && typeof move.clocks[color] === 'number') {
+            comments.push(`[%clk ${formatClock(move.clocks[color])}]`);
+        }
+        comments.push(
+            ...describeFreezes(move, previousMove),
+            ...describePoints(move, previousMove),
+            ...describeChecks(move, previousMove),
+        );
+        if (comments.length) {
+            tokens.push(`{ ${comments.join(' ')} }`);
+            needsNumber = true;
+        }
+    });
+
+    if (finished && record.variantData?.points) {
+        const { white, black } = record.variantData.points;
+        tokens.push(`{ Final points: White ${white}, Black ${black} }`);
+    }
+    tokens.push(result);
+
+    const header = tags.map(([name, value]) => `[${name} "${escapeTag(value)}"]`).join('\n');
+    return `${header}\n\n${wrapMovetext(tokens)}\n`;
+}
+
+// Controller function for GET /api/games/:sessionId/pgn. Open to anyone, so only
+// finished games are served: a live game's moves would help someone assist a player.
+export const getGamePgn = async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        let record;
+        let names;
+
+        // Just finished sessions are still stored as sessions; older games come from the game archive
+        const session = await getSessionById(sessionId);
+        if (session) {
+            const { gameState } = session;
+            if (gameState.status !== 'finished') {
+                return res.status(403).json({ success: false, message: 'The PGN is available once the game has finished' });
+            }
+            record = buildGameRecord(gameState);
+            names = { white: gameState.players.white.username, black: gameState.players.black.username };
+        } else {
+            const game = await gameModel.findOne({ sessionId })
+                .populate('players.white', 'name')
+                .populate('players.black', 'name')
+                .lean();
+            if (!game) {
+                return res.status(404).json({ success: false, message: 'Game not found' });
+            }
+            record = game;
+            names = { white: game.players?.white?.name, black: game.players?.black?.name };
+        }
+
+        res.set('Content-Type', 'application/x-chess-pgn');
+        res.set('Content-Disposition', `inline; filename="${sessionId}.pgn"`);
+        return res.status(200).send(buildPgn(record, names));
+    } catch (error) {
+        console.error('[getGamePgn] Error building PGN:', error);
+        return res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
@@ -0,0 +1,39 @@
+import { getVariant, parseCustomPosition } from '../validations/index.js';
+
+/**
+ * Parse a FEN or PGN and check the variant can start from it.
+ * @param {Object} definition - Variant definition from getVariant
+ * @param {{ fen?: string, pgn?: string }} input
+ * @returns {Object} The parsed position (see parseCustomPosition)
+ */
+export function checkCustomPosition(definition, { fen, pgn }) {
+    if (!definition.loadPosition) {
+        throw new Error(`Custom starting positions are not supported for ${definition.key}`);
+    }
+    const position = parseCustomPosition({ fen, pgn });
+    if (position.pockets && definition.variant !== 'crazyhouse') {
+        throw new Error('Pocket pieces are only allowed in crazyhouse');
+    }
+    return position;
+}
+
+// Controller function for POST /api/games/position: check a FEN or PGN before
+// starting a custom game from it. Body: { variant, subvariant, fen | pgn }
+export const validatePosition = async (req, res) => {
+    const { variant = 'classic', subvariant = 'standard', fen, pgn } = req.body || {};
+
+    try {
+        const definition = getVariant(variant, subvariant);
+        const position = checkCustomPosition(definition, { fen, pgn });
+        return res.status(200).json({
+            success: true,
+            variant: definition.key,
+            fen: position.fen,
+            initialFen: position.initialFen,
+            pockets: position.pockets,
+            moves: position.moves.map((move) => move.san),
+        });
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+};
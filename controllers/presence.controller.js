@@ -0,0 +1,74 @@
+// Tracks which players have a /game socket open for each session, and runs a
+// grace timer when a player's last socket drops. A player who is still gone
+// when it fires forfeits by abandonment.
+export const ABANDON_GRACE_PERIOD = 60 * 1000;
+
+const connections = new Map(); // `${sessionId}:${userId}` -> Set of socket ids
+const graceTimers = new Map(); // `${sessionId}:${userId}` -> { timeout, deadline }
+
+const presenceKey = (sessionId, userId) => `${sessionId}:${userId}`;
+
+/**
+ * Record a player's socket joining a session.
+ * @returns {boolean} true if this reconnect cancelled a pending grace timer
+ */
+export function markConnected(sessionId, userId, socketId) {
+  const key = presenceKey(sessionId, userId);
+  if (!connections.has(key)) connections.set(key, new Set());
+  connections.get(key).add(socketId);
+
+  const pending = graceTimers.get(key);
+  if (pending) {
+    clearTimeout(pending.timeout);
+    graceTimers.delete(key);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Record a player's socket leaving a session. When it was their last socket,
+ * start the grace timer and call onAbandon if they haven't come back by then.
+ * @returns {{ deadline: number } | null} The grace deadline, or null if the player is still connected
+ */
+export function markDisconnected(sessionId, userId, socketId, onAbandon) {
+  const key = presenceKey(sessionId, userId);
+  const sockets = connections.get(key);
+  if (sockets) {
+    sockets.delete(socketId);
+    if (sockets.size > 0) return null;
+    connections.delete(key);
+  }
+  if (graceTimers.has(key)) return { deadline: graceTimers.get(key).deadline };
+
+  const deadline = Date.now() + ABANDON_GRACE_PERIOD;
+  const timeout = setTimeout(() => {
+    graceTimers.delete(key);
+    Promise.resolve(onAbandon()).catch((error) => {
+      console.error(`[markDisconnected] Abandonment handling failed for ${key}:`, error);
+    });
+  }, ABANDON_GRACE_PERIOD);
+  timeout.unref?.();
+
+  graceTimers.set(key, { timeout, deadline });
+  return { deadline };
+}
+
+/**
+ * Check whether a player currently has a socket open for a session
+ */
+export function isConnected(sessionId, userId) {
+  return connections.has(presenceKey(sessionId, userId));
+}
+
+/**
+ * Drop all grace timers for a finished session
+ */
+export function clearPresence(sessionId) {
+  for (const [key, pending] of graceTimers) {
+    if (key.startsWith(`${sessionId}:`)) {
+      clearTimeout(pending.timeout);
+      graceTimers.delete(key);
+    }
+  }
+}
@@ -0,0 +1,182 @@
+import UserModel from '../models/User.model.js';
+import RatingHistoryModel from '../models/ratingHistory.model.js';
+import { getVariant } from '../validations/index.js';
+
+// Glicko-2 parameters (see Glickman, "Example of the Glicko-2 system")
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_DEVIATION = 30;
+const GLICKO2_SCALE = 173.7178;
+const TAU = 0.5; // Constrains volatility change between games
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+// Ratings stay provisional until a player has this many games in the variant
+export const PROVISIONAL_GAMES = 10;
+
+/**
+ * Read a player's rating entry for a variant, falling back to Glicko-2 defaults
+ * for variants they have not played yet. Works with mongoose docs and lean objects.
+ */
+export function getVariantRating(userDoc, variant, subvariant) {
+    const key = getVariant(variant, subvariant).key;
+    const ratings = userDoc?.variantRatings;
+    const entry = ratings instanceof Map ? ratings.get(key) : ratings?.[key];
+    return {
+        rating: entry?.rating ?? DEFAULT_RATING,
+        deviation: entry?.deviation ?? DEFAULT_DEVIATION,
+        volatility: entry?.volatility ?? DEFAULT_VOLATILITY,
+        gamesPlayed: entry?.gamesPlayed ?? 0,
+        provisional: entry?.provisional ?? true,
+    };
+}
+
+/**
+ * Glicko-2 update for a single game (one-game rating period).
+ * @param {{ rating, deviation, volatility }} player
+ * @param {{ rating, deviation }} opponent - Opponent's pre-game values
+ * @param {number} score - 1 win, 0.5 draw, 0 loss
+ * @returns {{ rating, deviation, volatility }}
+ */
+export function calculateGlicko2(player, opponent, score) {
+    // Step 2: convert to the Glicko-2 scale
+    const mu = (player.rating - DEFAULT_RATING) / GLICKO2_SCALE;
+    const phi = player.deviation / GLICKO2_SCALE;
+    const sigma = player.volatility;
+    const opponentMu = (opponent.rating - DEFAULT_RATING) / GLICKO2_SCALE;
+    const opponentPhi = opponent.deviation / GLICKO2_SCALE;
+
+    // Steps 3-4: estimated variance and improvement
+    const g = 1 / Math.sqrt(1 + (3 * opponentPhi * opponentPhi) / (Math.PI * Math.PI));
+    const expected = 1 / (1 + Math.exp(-g * (mu - opponentMu)));
+    const variance = 1 / (g * g * expected * (1 - expected));
+    const delta = variance * g * (score - expected);
+
+    // Step 5: new volatility (Illinois algorithm)
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        const denom = phi * phi + variance + ex;
+        return (ex * (delta * delta - phi * phi - variance - ex)) / (2 * denom * denom) - (x - a) / (TAU * TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + variance) {
+        B = Math.log(delta * delta - phi * phi - variance);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) k++;
+        B = a - k * TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+        const C = A + ((A - B) * fA) / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA = fA / 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    const newSigma = Math.exp(A / 2);
+
+    // Steps 6-7: new deviation and rating
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / variance);
+    const newMu = mu + newPhi * newPhi * g * (score - expected);
+
+    // Step 8: back to the Glicko scale
+    return {
+        rating: newMu * GLICKO2_SCALE + DEFAULT_RATING,
+        deviation: Math.min(DEFAULT_DEVIATION, Math.max(MIN_DEVIATION, newPhi * GLICKO2_SCALE)),
+        volatility: newSigma,
+    };
+}
+
+/**
+ * Apply a finished game to both players' variant ratings and win/loss counters,
+ * and append both players' rating history entries.
+ * @param {string} sessionId
+ * @param {Object} gameState - Finished game state (winner is 'white', 'black' or null for a draw)
+ * @returns {Promise<{ white: Object, black: Object } | null>} Per-colour { before, after, change }, or null if unrated
+ */
+export async function updateRatingsForGame(sessionId, gameState) {
+    if (!gameState.metadata?.rated) {
+        return null;
+    }
+
+    const { key } = getVariant(gameState.variantName, gameState.subvariantName);
+    const whiteId = gameState.players.white.userId;
+    const blackId = gameState.players.black.userId;
+
+    const [whiteDoc, blackDoc] = await Promise.all([
+        UserModel.findById(whiteId).select('_id variantRatings'),
+        UserModel.findById(blackId).select('_id variantRatings'),
+    ]);
+    if (!whiteDoc || !blackDoc) {
+        throw new Error('Failed to load players for rating update');
+    }
+
+    const before = {
+        white: getVariantRating(whiteDoc, gameState.variantName, gameState.subvariantName),
+        black: getVariantRating(blackDoc, gameState.variantName, gameState.subvariantName),
+    };
+    const scores = {
+        white: gameState.winner === 'white' ? 1 : gameState.winner === 'black' ? 0 : 0.5,
+        black: gameState.winner === 'black' ? 1 : gameState.winner === 'white' ? 0 : 0.5,
+    };
+
+    const playedAt = new Date();
+    const changes = {};
+    const updates = [];
+    const history = [];
+    for (const [color, userId] of [['white', whiteId], ['black', blackId]]) {
+        const opponentColor = color === 'white' ? 'black' : 'white';
+        const opponent = before[opponentColor];
+        const updated = calculateGlicko2(before[color], opponent, scores[color]);
+        const gamesPlayed = before[color].gamesPlayed + 1;
+        const after = {
+            ...updated,
+            gamesPlayed,
+            provisional: gamesPlayed < PROVISIONAL_GAMES,
+            lastPlayedAt: playedAt,
+        };
+
+        const counters = scores[color] === 1 ? { win: 1 } : scores[color] === 0 ? { lose: 1 } : {};
+        updates.push(UserModel.findByIdAndUpdate(userId, {
+            $set: { [`variantRatings.${key}`]: after },
+            ...(Object.keys(counters).length && { $inc: counters }),
+        }));
+
+        history.push({
+            user: userId,
+            variant: key,
+            sessionId,
+            opponent: gameState.players[opponentColor].userId,
+            opponentRating: opponent.rating,
+            ratingBefore: before[color].rating,
+            ratingAfter: after.rating,
+            change: after.rating - before[color].rating,
+            deviation: after.deviation,
+            result: scores[color] === 1 ? 'win' : scores[color] === 0 ? 'loss' : 'draw',
+            playedAt,
+        });
+
+        changes[color] = {
+            before: before[color].rating,
+            after: after.rating,
+            change: after.rating - before[color].rating,
+            provisional: after.provisional,
+        };
+    }
+
+    await Promise.all([...updates, RatingHistoryModel.insertMany(history)]);
+    console.log(`[updateRatingsForGame] ${key} ratings updated: white ${changes.white.change.toFixed(1)}, black ${changes.black.change.toFixed(1)}`);
+    return changes;
+}
@@ -0,0 +1,126 @@
+import UserModel from '../models/User.model.js';
+import { createGameSession, getSessionById } from './session.controller.js';
+import { getVariantRating } from './rating.controller.js';
+import { getGameSource } from './result.controller.js';
+
+// How long a rematch offer stays open before it lapses
+export const REMATCH_OFFER_TIMEOUT = 30 * 1000;
+
+const offers = new Map(); // finished sessionId -> { fromUserId, timeout, expiresAt }
+
+// Load a finished session and work out which player (and opponent) the user is
+async function getFinishedGame(sessionId, userId) {
+    const session = await getSessionById(sessionId);
+    if (!session) throw new Error('Session not found');
+
+    const { gameState } = session;
+    if (gameState.status !== 'finished') throw new Error('Game is still in progress');
+
+    const color = gameState.players.white.userId === userId ? 'white' : gameState.players.black.userId === userId ? 'black' : null;
+    if (!color) throw new Error('User not a player in this game');
+
+    const opponentColor = color === 'white' ? 'black' : 'white';
+    return { gameState, color, opponentId: gameState.players[opponentColor].userId };
+}
+
+/**
+ * Offer a rematch after a finished game. The offer lapses after
+ * REMATCH_OFFER_TIMEOUT, calling onExpire.
+ * @returns {Promise<{ expiresAt: number }>}
+ */
+export async function offerRematch({ sessionId, userId, onExpire }) {
+    const { gameState } = await getFinishedGame(sessionId, userId);
+    if (getGameSource(gameState) === 'tournament') {
+        throw new Error('Tournament games cannot be rematched');
+    }
+    if (gameState.metadata?.bughouse) {
+        throw new Error('Bughouse games cannot be rematched');
+    }
+
+    const existing = offers.get(sessionId);
+    if (existing) {
+        if (existing.fromUserId === userId) return { expiresAt: existing.expiresAt };
+        throw new Error('Your opponent has already offered a rematch');
+    }
+
+    const expiresAt = Date.now() + REMATCH_OFFER_TIMEOUT;
+    const timeout = setTimeout(() => {
+        offers.delete(sessionId);
+        Promise.resolve(onExpire?.()).catch((error) => {
+            console.error(`[offerRematch] Expiry handling failed for ${sessionId}:`, error);
+        });
+    }, REMATCH_OFFER_TIMEOUT);
+    timeout.unref?.();
+
+    offers.set(sessionId, { fromUserId: userId, timeout, expiresAt });
+    console.log(`[offerRematch] User ${userId} offered a rematch for ${sessionId}`);
+    return { expiresAt };
+}
+
+/**
+ * Accept the opponent's rematch offer: start a new game with the same
+ * variant, clock, start position (chess960 position or imported FEN/PGN),
+ * rated flag and days per move (correspondence) and the colours swapped.
+ * @returns {Promise<{ sessionId: string, gameState: Object }>} The new session
+ */
+export async function acceptRematch({ sessionId, userId }) {
+    const { gameState, opponentId } = await getFinishedGame(sessionId, userId);
+
+    const offer = offers.get(sessionId);
+    if (!offer || offer.fromUserId !== opponentId) throw new Error('No rematch offer from opponent');
+    cancelRematch(sessionId);
+
+    const variant = gameState.variantName;
+    const subvariant = gameState.subvariantName;
+    const customPosition = gameState.metadata?.customPosition;
+    const userDocs = await UserModel.find({ _id: { $in: [userId, opponentId] } }).select('_id name variantRatings');
+    if (userDocs.length !== 2) throw new Error('Player not found');
+
+    // Ratings may have changed with the game that just finished
+    const [player1, player2] = [userId, opponentId].map((id) => {
+        const userDoc = userDocs.find((doc) => doc._id.toString() === id);
+        return {
+            userId: id,
+            username: userDoc.name,
+            rating: Math.round(getVariantRating(userDoc, variant, subvariant).rating),
+        };
+    });
+
+    const rematch = await createGameSession(
+        player1,
+        player2,
+        variant,
+        subvariant,
+        { [userId]: 'matchmaking', [opponentId]: 'matchmaking' },
+        {
+            whiteUserId: gameState.players.black.userId,
+            rated: Boolean(gameState.metadata?.rated),
+            allowSpectators: gameState.metadata?.allowSpectators,
+            // Chess960 rematches replay the same start position
+            startPositionId: gameState.board?.startPositionId,
+            // So do games from an imported FEN or PGN, which stay unrated (see applyCustomPosition)
+            ...(customPosition && { [customPosition.source]: customPosition.input }),
+            correspondence: gameState.metadata?.correspondence,
+            // Same base and increment; per-move and correspondence clocks come from the settings above
+            ...(!gameState.timeControl?.perMove && !gameState.metadata?.correspondence && {
+                timeControl: { base: gameState.timeControl.baseTime, increment: gameState.timeControl.increment },
+            }),
+        }
+    );
+    if (!rematch.success) throw new Error(rematch.message || 'Failed to create rematch');
+
+    console.log(`[acceptRematch] Rematch of ${sessionId} started as ${rematch.sessionId}`);
+    return { sessionId: rematch.sessionId, gameState: rematch.gameState };
+}
+
+/**
+ * Withdraw any pending rematch offer for a session (e.g. a player left)
+ * @returns {boolean} true if there was an offer to cancel
+ */
+export function cancelRematch(sessionId) {
+    const offer = offers.get(sessionId);
+    if (!offer) return false;
+    clearTimeout(offer.timeout);
+    offers.delete(sessionId);
+    return true;
+}
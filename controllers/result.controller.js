@@ -0,0 +1,131 @@
+import tournamentModel from '../models/tournament.model.js';
+import gameModel from '../models/game.model.js';
+import { getVariant } from '../validations/index.js';
+import { updateRatingsForGame } from './rating.controller.js';
+
+/**
+ * Resolve where a game came from. createGameSession stores a per-player map
+ * ({ [userId]: 'matchmaking' | 'tournament' | 'correspondence' | 'challenge' }); a game counts as a tournament
+ * game if either player joined from the tournament queue.
+ */
+export function getGameSource(gameState) {
+    const source = gameState.metadata?.source;
+    if (!source || typeof source === 'string') {
+        return source || 'matchmaking';
+    }
+    return Object.values(source).includes('tournament') ? 'tournament' : 'matchmaking';
+}
+
+/**
+ * Build the Game document fields for a session's game state: SAN move list
+ * with per-move timestamps and clocks, outcome and final variant data.
+ */
+export function buildGameRecord(gameState) {
+    const winnerColor = gameState.winner === 'white' || gameState.winner === 'black' ? gameState.winner : null;
+    const definition = getVariant(gameState.variantName, gameState.subvariantName);
+
+    // positionHistory starts with the initial position, so move i left positionHistory[i + 1]
+    const moves = (gameState.moves || []).map((move, index) => ({
+        ply: move.ply ?? index + 1,
+        san: move.san,
+        from: move.from,
+        to: move.to,
+        color: move.color === 'w' ? 'white' : move.color === 'b' ? 'black' : move.color,
+        piece: move.piece,
+        captured: move.captured,
+        promotion: move.promotion,
+        drop: move.from === 'pocket' || move.drop === true || undefined,
+        fen: move.after || gameState.positionHistory?.[index + 1],
+        timestamp: move.timestamp,
+        clocks: move.clocks,
+        variantData: move.variantData,
+    }));
+
+    return {
+        variant: gameState.variantName,
+        subvariant: gameState.subvariantName,
+        players: {
+            white: gameState.players.white.userId,
+            black: gameState.players.black.userId,
+        },
+        state: gameState.board,
+        initialFen: gameState.positionHistory?.[0] || null,
+        moves,
+        timeControl: gameState.timeControl,
+        winner: winnerColor ? gameState.players[winnerColor].userId : null,
+        winnerColor,
+        result: gameState.result,
+        resultReason: gameState.resultReason,
+        variantData: definition.getVariantData(gameState.board),
+        rated: Boolean(gameState.metadata?.rated),
+        startedAt: gameState.startedAt ? new Date(gameState.startedAt) : null,
+        endedAt: gameState.endedAt ? new Date(gameState.endedAt) : null,
+    };
+}
+
+/**
+ * Write a finished game to its Game document. The Redis session expires, so
+ * this is the permanent record.
+ */
+export async function saveFinishedGame(sessionId, gameState) {
+    const record = buildGameRecord(gameState);
+    record.endedAt = record.endedAt || new Date();
+
+    await gameModel.findOneAndUpdate({ sessionId }, { $set: record }, { upsert: true });
+    console.log(`[saveFinishedGame] Game ${sessionId} saved with ${record.moves.length} moves (${record.result}, ${record.resultReason})`);
+}
+
+/**
+ * Persist the outcome of a finished game (game record, tournament match
+ * result, variant ratings and win/loss counters). Shared by every path that
+ * ends a game: moves, resignations, draws, clock flags and abandonment.
+ * @returns {Promise<{ success: boolean, message?: string, ratingChanges?: Object|null }>}
+ */
+export async function recordGameResult(sessionId, gameState) {
+    if (!gameState || gameState.status !== 'finished') {
+        return { success: false, message: 'Game is not finished.' };
+    }
+
+    const winnerColor = gameState.winner === 'white' || gameState.winner === 'black' ? gameState.winner : null;
+    const winnerId = winnerColor ? gameState.players[winnerColor].userId : null;
+
+    // A failed game write shouldn't cost the players their tournament result or rating
+    let saved = true;
+    try {
+        await saveFinishedGame(sessionId, gameState);
+    } catch (error) {
+        console.error(`[recordGameResult] Failed to save game ${sessionId}:`, error);
+        saved = false;
+    }
+
+    // Aborted games are kept on record but count for neither tournaments nor ratings
+    if (gameState.result === 'aborted') {
+        return saved ? { success: true, ratingChanges: null } : { success: false, message: 'Failed to save game.' };
+    }
+
+    if (getGameSource(gameState) === 'tournament') {
+        const updatedTournament = await tournamentModel.findOneAndUpdate({ 'matches.sessionId': sessionId }, {
+            $set: {
+                'matches.$.result': gameState.result,
+                'matches.$.winner': winnerId,
+                'matches.$.state': gameState.board
+            }
+        }, { new: true });
+        if (updatedTournament) {
+            console.log(`[recordGameResult] Tournament match updated for session ${sessionId} with result ${gameState.result}`);
+        }
+    }
+
+    let ratingChanges = null;
+    try {
+        ratingChanges = await updateRatingsForGame(sessionId, gameState);
+    } catch (error) {
+        console.error(`[recordGameResult] Failed to update ratings for session ${sessionId}:`, error);
+        return { success: false, message: 'Failed to update ratings.' };
+    }
+
+    if (!saved) {
+        return { success: false, message: 'Failed to save game.', ratingChanges };
+    }
+    return { success: true, ratingChanges };
+}
@@ -4,68 +4,11 @@ import redisClient, {
   userSessionKey, 
   SESSION_TIMEOUT 
 } from '../config/redis.config.js';
-import { createInitialState as createStandardInitialState, convertBigIntToNumber } from '../validations/classic/standard.js';
-import { createInitialState as createBlitzInitialState } from '../validations/classic/blitz.js';
-import { createInitialState as createBulletInitialState} from '../validations/classic/bullet.js';
-import { createInitialState as createSixPointerInitialState, generateRandomBalancedPosition } from '../validations/sixPointer.js';
-import { createDecayInitialState } from '../validations/decay.js';
-import { createCrazyhouseStandardInitialState as createCzyStndInitState} from '../validations/crazyhouse/crazyhouseStandard.js';
-import { createCrazyhouseInitialState as createCzyTimerInitState } from '../validations/crazyhouse/crazyhouseTimer.js';
+import { convertBigIntToNumber, applyTimeControl } from '../validations/classic/standard.js';
+import { getVariant, hasVariant, listVariants, parseCustomPosition } from '../validations/index.js';
 import gameModel from '../models/game.model.js';
 import tournamentModel from '../models/tournament.model.js';
-
-// Game variants and their configurations
-const GAME_VARIANTS = {
-  classic: {
-    name: 'classic',
-    subvariants: {
-      standard: {
-        name: 'standard',
-        initialFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
-        timeControl: { base: 10 * 60 * 1000, increment: 0 }, // 10 minutes
-        description: 'Standard FIDE chess rules with classical time control'
-      },
-      blitz: {
-        name: 'blitz',
-        initialFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
-        timeControl: { base: 3 * 60 * 1000, increment: 2000 }, // 3+2
-        description: 'Fast-paced chess with 3 minutes base + 2 second increment'
-      },
-      bullet: {
-        name: 'bullet',
-        initialFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
-        timeControl: { base: 60 * 1000, increment: 0 }, // 1+0 (corrected from 1+1)
-        description: 'Ultra-fast chess with 1 minute base, no increment'
-      }
-    }
-  },
-  sixpointer: {
-    name: 'sixpointer',
-    description: 'A variant of chess where each player has 6 points worth of pieces, allowing for unique strategies and gameplay.',
-  },
-  decay:{
-    name: 'decay',
-    description: 'A variant of chess where pieces decay over time, adding a new layer of strategy.',
-    initialFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
-  },
-  crazyhouse: {
-    name: 'crazyhouse',
-    subvariants: {
-      standard: {
-        name: 'standard',
-        timeControl: { base: 3 * 60 * 1000, increment: 2000 }, // 10 minutes
-        description: 'Crazyhouse chess with 3 minutes base + 2 second increment',
-        initialFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
-      },
-      withTimer: {
-        name: 'withTimer',
-        timeControl: { base: 3 * 60 * 1000, increment: 2000 }, // 3+2
-        description: 'Crazyhouse chess with 3 minutes base + 2 second increment',
-        initialFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
-      }
-    }
-  }
-};
+import correspondenceModel from '../models/correspondence.model.js';
 
 // Chess-specific constants
 const CHESS_CONSTANTS = {
@@ -129,17 +72,59 @@ const validatePlayer = (player) => {
   return true;
 };
 
-const validateGameConfig = (variant, subvariant) => {
-  if (!variant || !GAME_VARIANTS[variant]) return false;
-  if (variant === 'classic' && (!subvariant || !GAME_VARIANTS[variant].subvariants[subvariant])) return false;
-  return true;
+const validateGameConfig = (variant, subvariant) => hasVariant(variant, subvariant);
+
+// Error code for a session write that lost a race with another update
+export const STALE_GAME_STATE = 'STALE_GAME_STATE';
+
+// Called with (sessionId, gameState) once a real-time session is stored (see onSessionCreated)
+let sessionCreatedListener = null;
+
+/**
+ * Run a listener for every new real-time session, however it was started (matchmaking,
+ * challenge, rematch, bughouse or tournament). The /game namespace starts the clock from it.
+ */
+export function onSessionCreated(listener) {
+  sessionCreatedListener = listener;
+}
+
+// Correspondence games: whole days per move instead of a running clock
+export const CORRESPONDENCE_DAY = 24 * 60 * 60 * 1000;
+export const MIN_DAYS_PER_MOVE = 1;
+export const MAX_DAYS_PER_MOVE = 14;
+
+// Bounds for a custom base+increment clock (ms)
+export const TIME_CONTROL_LIMITS = {
+  MIN_BASE: 30 * 1000,
+  MAX_BASE: 180 * 60 * 1000,
+  MAX_INCREMENT: 60 * 1000
 };
 
+// Categories returned by getTimeControlType; regular matchmaking queues are split by them
+export const TIME_CONTROL_CATEGORIES = ['bullet', 'blitz', 'standard'];
+
+function staleGameStateError() {
+  const error = new Error('The game changed while this update was being made, please try again');
+  error.code = STALE_GAME_STATE;
+  return error;
+}
+
+// Compare-and-set for session writes: only write if the stored version is still
+// the one the caller read. Returns -1 if the session is gone, 0 if it is stale.
+const COMPARE_AND_SET_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then return -1 end
+local current = tonumber(redis.call('HGET', KEYS[1], 'version') or '0')
+if current ~= tonumber(ARGV[1]) then return 0 end
+redis.call('HSET', KEYS[1], 'gameState', ARGV[2], 'lastActivity', ARGV[3], 'status', ARGV[4], 'version', ARGV[5])
+redis.call('EXPIRE', KEYS[1], ARGV[6])
+return 1
+`;
+
 /**
- * Randomly assign colors to players
+ * Randomly assign colors to players, unless whiteUserId picks who plays white
  */
-function assignPlayerColors(player1, player2) {
-  const shouldPlayer1BeWhite = Math.random() < 0.5;
+function assignPlayerColors(player1, player2, whiteUserId = null) {
+  const shouldPlayer1BeWhite = whiteUserId ? player1.userId === whiteUserId : Math.random() < 0.5;
   
   if (shouldPlayer1BeWhite) {
     return {
@@ -155,650 +140,52 @@ function assignPlayerColors(player1, player2) {
 }
 
 /**
- * Parse FEN string to extract board state components
+ * Build the public player entry stored on the game state
  */
-function parseFen(fen) {
-  console.log('Parsing FEN:', fen);
-  const parts = fen.split(' ');
+function createPlayerState(player) {
   return {
-    position: parts[0],
-    activeColor: parts[1],
-    castlingRights: parts[2],
-    enPassantSquare: parts[3],
-    halfmoveClock: parseInt(parts[4]) || 0,
-    fullmoveNumber: parseInt(parts[5]) || 1
+    userId: player.userId,
+    username: player.username,
+    rating: player.rating,
+    avatar: player.avatar || null,
+    title: player.title || null
   };
 }
 
 /**
  * Create initial game state with comprehensive chess rules
  */
-function createInitialGameState(variant, subvariant, whitePlayer, blackPlayer) {
-  const gameConfig = GAME_VARIANTS[variant].subvariants
-    ? GAME_VARIANTS[variant].subvariants[subvariant]
-    : GAME_VARIANTS[variant];
-
-  const randonFen = generateRandomBalancedPosition();
-  const fenData = variant === 'sixpointer' ? randonFen : parseFen(gameConfig.initialFen);
+function createInitialGameState(variant, subvariant, whitePlayer, blackPlayer, options = {}) {
+  const definition = getVariant(variant, subvariant);
+  const board = definition.createInitialState(options);
+  // options.timeControl ({ base, increment }, see resolveTimeControl) replaces the variant's clock
+  const timeControl = { ...definition.timeControl, ...options.timeControl };
+  if (!timeControl.perMove) {
+    applyTimeControl(board, timeControl);
+  }
+  // Per-move variants (sixpointer) start each clock at the per-move limit
+  const startingTime = timeControl.perMove || timeControl.base;
   const now = Date.now();
-  const timeControl = gameConfig.timeControl || {};
-
-  // Only for standard chess, use the logic from validations/standard.js
-  if (variant === 'classic' && subvariant === 'standard') {
-    const now = Date.now();
-    const state = createStandardInitialState();
-  
-    // Attach player and session/game metadata as before
-    return {
-      board: state,
-      sessionId: null,
-      variantName: GAME_VARIANTS[variant].name,
-      subvariantName: GAME_VARIANTS[variant].subvariants[subvariant].name,
-      description: GAME_VARIANTS[variant].subvariants[subvariant].description,
-      players: {
-        white: {
-          userId: whitePlayer.userId,
-          username: whitePlayer.username,
-          rating: whitePlayer.rating,
-          avatar: whitePlayer.avatar || null,
-          title: whitePlayer.title || null
-        },
-        black: {
-          userId: blackPlayer.userId,
-          username: blackPlayer.username,
-          rating: blackPlayer.rating,
-          avatar: blackPlayer.avatar || null,
-          title: blackPlayer.title || null
-        }
-      },
-      timeControl: {
-        type: getTimeControlType(timeControl),
-        baseTime: timeControl.base,
-        increment: timeControl.increment,
-        timers: {
-          white: timeControl.base,
-          black: timeControl.base
-        },
-        timeSpent: {
-          white: [],
-          black: []
-        },
-        flagged: {
-          white: false,
-          black: false
-        }
-      },
-      status: 'active',
-      result: CHESS_CONSTANTS.GAME_RESULTS.ONGOING,
-      resultReason: null,
-      winner: null,
-      moves: [],
-      moveCount: 0,
-      lastMove: null,
-      gameState: {
-        check: false,
-        checkmate: false,
-        stalemate: false,
-        insufficientMaterial: false,
-        threefoldRepetition: false,
-        fiftyMoveRule: false
-      },
-      positionHistory: [gameConfig.initialFen],
-      createdAt: Number(now),
-      lastActivity: Number(now),
-      startedAt: Number(now),
-      endedAt: null,
-      rules: getChessRules(variant, subvariant),
-      metadata: {
-        source: null, // Don't set a default, let it be set by createGameSession
-        rated: true,
-        spectators: [],
-        allowSpectators: true,
-        drawOffers: {
-          white: false,
-          black: false
-        },
-        resignations: {
-          white: false,
-          black: false
-        },
-        premoves: {
-          white: null,
-          black: null
-        }
-      }
-    };
-  } else if (variant === 'classic' && subvariant === 'blitz') {
-    const now = Date.now();
-    const state = createBlitzInitialState()
 
-    return {
-      board: state,
-      sessionId: null,
-      variantName: GAME_VARIANTS[variant].name,
-      subvariantName: GAME_VARIANTS[variant].subvariants[subvariant].name,
-      description: GAME_VARIANTS[variant].subvariants[subvariant].description,
-      players: {
-        white: {
-          userId: whitePlayer.userId,
-          username: whitePlayer.username,
-          rating: whitePlayer.rating,
-          avatar: whitePlayer.avatar || null,
-          title: whitePlayer.title || null
-        },
-        black: {
-          userId: blackPlayer.userId,
-          username: blackPlayer.username,
-          rating: blackPlayer.rating,
-          avatar: blackPlayer.avatar || null,
-          title: blackPlayer.title || null
-        }
-      },
-      timeControl: {
-        type: getTimeControlType(timeControl),
-        baseTime: timeControl.base,
-        increment: timeControl.increment,
-        timers: {
-          white: timeControl.base,
-          black: timeControl.base
-        },
-        timeSpent: {
-          white: [],
-          black: []
-        },
-        flagged: {
-          white: false,
-          black: false
-        }
-      },
-      status: 'active',
-      result: CHESS_CONSTANTS.GAME_RESULTS.ONGOING,
-      resultReason: null,
-      winner: null,
-      moves: [],
-      moveCount: 0,
-      lastMove: null,
-      gameState: {
-        check: false,
-        checkmate: false,
-        stalemate: false,
-        insufficientMaterial: false,
-        threefoldRepetition: false,
-        fiftyMoveRule: false
-      },
-      positionHistory: [gameConfig.initialFen],
-      createdAt: Number(now),
-      lastActivity: Number(now),
-      startedAt: Number(now),
-      endedAt: null,
-      rules: getChessRules(variant, subvariant),
-      metadata: {
-        source: 'matchmaking',
-        rated: true,
-        spectators: [],
-        allowSpectators: true,
-        drawOffers: {
-          white: false,
-          black: false
-        },
-        resignations: {
-          white: false,
-          black: false
-        },
-        premoves: {
-          white: null,
-          black: null
-        }
-      }
-    };
-  } else if (variant === 'classic' && subvariant === 'bullet') {
-    const now = Date.now();
-    const state = createBulletInitialState()
-
-    return {
-      board: state,
-      sessionId: null,
-      variantName: GAME_VARIANTS[variant].name,
-      subvariantName: GAME_VARIANTS[variant].subvariants[subvariant].name,
-      description: GAME_VARIANTS[variant].subvariants[subvariant].description,
-      players: {
-        white: {
-          userId: whitePlayer.userId,
-          username: whitePlayer.username,
-          rating: whitePlayer.rating,
-          avatar: whitePlayer.avatar || null,
-          title: whitePlayer.title || null
-        },
-        black: {
-          userId: blackPlayer.userId,
-          username: blackPlayer.username,
-          rating: blackPlayer.rating,
-          avatar: blackPlayer.avatar || null,
-          title: blackPlayer.title || null
-        }
-      },
-      timeControl: {
-        type: getTimeControlType(timeControl),
-        baseTime: timeControl.base,
-        increment: timeControl.increment,
-        timers: {
-          white: timeControl.base,
-          black: timeControl.base
-        },
-        timeSpent: {
-          white: [],
-          black: []
-        },
-        flagged: {
-          white: false,
-          black: false
-        }
-      },
-      status: 'active',
-      result: CHESS_CONSTANTS.GAME_RESULTS.ONGOING,
-      resultReason: null,
-      winner: null,
-      moves: [],
-      moveCount: 0,
-      lastMove: null,
-      gameState: {
-        check: false,
-        checkmate: false,
-        stalemate: false,
-        insufficientMaterial: false,
-        threefoldRepetition: false,
-        fiftyMoveRule: false
-      },
-      positionHistory: [gameConfig.initialFen],
-      createdAt: Number(now),
-      lastActivity: Number(now),
-      startedAt: Number(now),
-      endedAt: null,
-      rules: getChessRules(variant, subvariant),
-      metadata: {
-        source: 'matchmaking',
-        rated: true,
-        spectators: [],
-        allowSpectators: true,
-        drawOffers: {
-          white: false,
-          black: false
-        },
-        resignations: {
-          white: false,
-          black: false
-        },
-        premoves: {
-          white: null,
-          black: null
-        }
-      }
-    };
-  } else if (variant === 'sixpointer') {
-    // 6-Point Chess: 30 seconds per move, no base time
-    const sixPointerState = createSixPointerInitialState();
-    return {
-      board: sixPointerState,
-      sessionId: null,
-      variantName: GAME_VARIANTS[variant].name,
-      subvariantName: null,
-      description: "6-Point Chess: Each player gets 30 seconds per move, no base time.",
-      players: {
-        white: {
-          userId: whitePlayer.userId,
-          username: whitePlayer.username,
-          rating: whitePlayer.rating,
-          avatar: whitePlayer.avatar || null,
-          title: whitePlayer.title || null
-        },
-        black: {
-          userId: blackPlayer.userId,
-          username: blackPlayer.username,
-          rating: blackPlayer.rating,
-          avatar: blackPlayer.avatar || null,
-          title: blackPlayer.title || null
-        }
-      },
-      timeControl: {
-        type: "sixpointer",
-        baseTime: 0,
-        increment: 0,
-        perMove: 30000, // 30 seconds per move
-        timers: {
-          white: 30000,
-          black: 30000
-        },
-        timeSpent: {
-          white: [],
-          black: []
-        },
-        flagged: {
-          white: false,
-          black: false
-        }
-      },
-      status: 'active',
-      result: CHESS_CONSTANTS.GAME_RESULTS.ONGOING,
-      resultReason: null,
-      winner: null,
-      moves: [],
-      moveCount: 0,
-      lastMove: null,
-      gameState: {
-        check: false,
-        checkmate: false,
-        stalemate: false,
-        insufficientMaterial: false,
-        threefoldRepetition: false,
-        fiftyMoveRule: false
-      },
-      positionHistory: [sixPointerState.fen], // <-- Set to initial FEN for sixpointer
-      createdAt: Number(now),
-      lastActivity: Number(now),
-      startedAt: Number(now),
-      endedAt: null,
-      rules: getChessRules(variant, subvariant),
-      metadata: {
-        source: 'matchmaking',
-        rated: true,
-        spectators: [],
-        allowSpectators: true,
-        drawOffers: {
-          white: false,
-          black: false
-        },
-        resignations: {
-          white: false,
-          black: false
-        },
-        premoves: {
-          white: null,
-          black: null
-        }
-      }
-    };
-  } else if (variant === 'decay') {
-    const initialState = createDecayInitialState();
-    return {
-      board: initialState, // or a dedicated sixPointer initial state if you have one
-      sessionId: null,
-      variantName: GAME_VARIANTS[variant].name,
-      subvariantName: null,
-      description: "6-Point Chess: Each player gets 30 seconds per move, no base time.",
-      players: {
-        white: {
-          userId: whitePlayer.userId,
-          username: whitePlayer.username,
-          rating: whitePlayer.rating,
-          avatar: whitePlayer.avatar || null,
-          title: whitePlayer.title || null
-        },
-        black: {
-          userId: blackPlayer.userId,
-          username: blackPlayer.username,
-          rating: blackPlayer.rating,
-          avatar: blackPlayer.avatar || null,
-          title: blackPlayer.title || null
-        }
-      },
-      timeControl: {
-        type: "decay",
-        baseTime: 180000, // 3 minutes base time
-        increment: 2000, // 2 seconds increment
-        timers: {
-          white: 180000,
-          black: 180000
-        },
-        timeSpent: {
-          white: [],
-          black: []
-        },
-        flagged: {
-          white: false,
-          black: false
-        }
-      },
-      status: 'active',
-      result: CHESS_CONSTANTS.GAME_RESULTS.ONGOING,
-      resultReason: null,
-      winner: null,
-      moves: [],
-      moveCount: 0,
-      lastMove: null,
-      gameState: {
-        check: false,
-        checkmate: false,
-        stalemate: false,
-        insufficientMaterial: false,
-        threefoldRepetition: false,
-        fiftyMoveRule: false
-      },
-      positionHistory: [initialState.fen], // <-- Set to initial FEN for decay
-      createdAt: Number(now),
-      lastActivity: Number(now),
-      startedAt: Number(now),
-      endedAt: null,
-      rules: getChessRules(variant, subvariant),
-      metadata: {
-        source: 'matchmaking',
-        rated: true,
-        spectators: [],
-        allowSpectators: true,
-        drawOffers: {
-          white: false,
-          black: false
-        },
-        resignations: {
-          white: false,
-          black: false
-        },
-        premoves: {
-          white: null,
-          black: null
-        }
-      }
-    };
-  } else if (variant === 'crazyhouse' && subvariant === 'standard') {
-    const initialState = createCzyStndInitState();
-    return {
-      board: initialState, // or a dedicated sixPointer initial state if you have one
-      sessionId: null,
-      variantName: GAME_VARIANTS[variant].name,
-      subvariantName: 'standard',
-      description: "6-Point Chess: Each player gets 30 seconds per move, no base time.",
-      players: {
-        white: {
-          userId: whitePlayer.userId,
-          username: whitePlayer.username,
-          rating: whitePlayer.rating,
-          avatar: whitePlayer.avatar || null,
-          title: whitePlayer.title || null
-        },
-        black: {
-          userId: blackPlayer.userId,
-          username: blackPlayer.username,
-          rating: blackPlayer.rating,
-          avatar: blackPlayer.avatar || null,
-          title: blackPlayer.title || null
-        }
-      },
-      timeControl: {
-        type: "crazyhouse standard",
-        baseTime: 180000, // 3 minutes base time
-        increment: 2000, // 2 seconds increment
-        timers: {
-          white: 180000,
-          black: 180000
-        },
-        timeSpent: {
-          white: [],
-          black: []
-        },
-        flagged: {
-          white: false,
-          black: false
-        }
-      },
-      status: 'active',
-      result: CHESS_CONSTANTS.GAME_RESULTS.ONGOING,
-      resultReason: null,
-      winner: null,
-      moves: [],
-      moveCount: 0,
-      lastMove: null,
-      gameState: {
-        check: false,
-        checkmate: false,
-        stalemate: false,
-        insufficientMaterial: false,
-        threefoldRepetition: false,
-        fiftyMoveRule: false
-      },
-      positionHistory: [initialState.fen], // <-- Set to initial FEN for decay
-      createdAt: Number(now),
-      lastActivity: Number(now),
-      startedAt: Number(now),
-      endedAt: null,
-      rules: getChessRules(variant, subvariant),
-      metadata: {
-        source: 'matchmaking',
-        rated: true,
-        spectators: [],
-        allowSpectators: true,
-        drawOffers: {
-          white: false,
-          black: false
-        },
-        resignations: {
-          white: false,
-          black: false
-        },
-        premoves: {
-          white: null,
-          black: null
-        }
-      }
-    };
-  } else if (variant === 'crazyhouse' && subvariant === 'withTimer') {
-    const initialState = createCzyTimerInitState();
-    return {
-      board: initialState, // or a dedicated sixPointer initial state if you have one
-      sessionId: null,
-      variantName: GAME_VARIANTS[variant].name,
-      subvariantName: 'withTimer',
-      description: "6-Point Chess: Each player gets 30 seconds per move, no base time.",
-      players: {
-        white: {
-          userId: whitePlayer.userId,
-          username: whitePlayer.username,
-          rating: whitePlayer.rating,
-          avatar: whitePlayer.avatar || null,
-          title: whitePlayer.title || null
-        },
-        black: {
-          userId: blackPlayer.userId,
-          username: blackPlayer.username,
-          rating: blackPlayer.rating,
-          avatar: blackPlayer.avatar || null,
-          title: blackPlayer.title || null
-        }
-      },
-      timeControl: {
-        type: "crazyhouse with Timer",
-        baseTime: 180000, // 3 minutes base time
-        increment: 2000, // 2 seconds increment
-        timers: {
-          white: 180000,
-          black: 180000
-        },
-        timeSpent: {
-          white: [],
-          black: []
-        },
-        flagged: {
-          white: false,
-          black: false
-        }
-      },
-      status: 'active',
-      result: CHESS_CONSTANTS.GAME_RESULTS.ONGOING,
-      resultReason: null,
-      winner: null,
-      moves: [],
-      moveCount: 0,
-      lastMove: null,
-      gameState: {
-        check: false,
-        checkmate: false,
-        stalemate: false,
-        insufficientMaterial: false,
-        threefoldRepetition: false,
-        fiftyMoveRule: false
-      },
-      positionHistory: [initialState.fen], // <-- Set to initial FEN for decay
-      createdAt: Number(now),
-      lastActivity: Number(now),
-      startedAt: Number(now),
-      endedAt: null,
-      rules: getChessRules(variant, subvariant),
-      metadata: {
-        source: 'matchmaking',
-        rated: true,
-        spectators: [],
-        allowSpectators: true,
-        drawOffers: {
-          white: false,
-          black: false
-        },
-        resignations: {
-          white: false,
-          black: false
-        },
-        premoves: {
-          white: null,
-          black: null
-        }
-      }
-    };
-  }
-  // Fallback to previous logic for other variant
   return {
+    board,
     sessionId: null,
-    variantName: GAME_VARIANTS[variant].name,
-    subvariantName: gameConfig.name,
-    description: gameConfig.description,
+    version: 0, // Bumped on every write to the session (see updateGameState)
+    variantName: definition.variant,
+    subvariantName: definition.subvariant,
+    description: definition.description,
     players: {
-      white: {
-        userId: whitePlayer.userId,
-        username: whitePlayer.username,
-        rating: whitePlayer.rating,
-        avatar: whitePlayer.avatar || null,
-        title: whitePlayer.title || null
-      },
-      black: {
-        userId: blackPlayer.userId,
-        username: blackPlayer.username,
-        rating: blackPlayer.rating,
-        avatar: blackPlayer.avatar || null,
-        title: blackPlayer.title || null
-      }
-    },
-    board: {
-      fen: gameConfig.initialFen,
-      position: fenData.position,
-      activeColor: fenData.activeColor === 'w' ? 'white' : 'black',
-      castlingRights: fenData.castlingRights,
-      enPassantSquare: fenData.enPassantSquare,
-      halfmoveClock: fenData.halfmoveClock,
-      fullmoveNumber: fenData.fullmoveNumber
+      white: createPlayerState(whitePlayer),
+      black: createPlayerState(blackPlayer)
     },
     timeControl: {
-      type: getTimeControlType(timeControl),
+      type: timeControl.type || getTimeControlType(timeControl),
       baseTime: timeControl.base,
       increment: timeControl.increment,
+      ...(timeControl.perMove && { perMove: timeControl.perMove }),
       timers: {
-        white: timeControl.base,
-        black: timeControl.base
+        white: startingTime,
+        black: startingTime
       },
       timeSpent: {
         white: [],
@@ -824,14 +211,14 @@ function createInitialGameState(variant, subvariant, whitePlayer, blackPlayer) {
       threefoldRepetition: false,
       fiftyMoveRule: false
     },
-    positionHistory: [gameConfig.initialFen],
-    createdAt: now,
-    lastActivity: now,
-    startedAt: now,
+    positionHistory: [board.fen],
+    createdAt: Number(now),
+    lastActivity: Number(now),
+    startedAt: Number(now),
     endedAt: null,
     rules: getChessRules(variant, subvariant),
     metadata: {
-      source: 'matchmaking',
+      source: null, // Don't set a default, let it be set by createGameSession
       rated: true,
       spectators: [],
       allowSpectators: true,
@@ -839,6 +226,10 @@ function createInitialGameState(variant, subvariant, whitePlayer, blackPlayer) {
         white: false,
         black: false
       },
+      takebackRequests: {
+        white: false,
+        black: false
+      },
       resignations: {
         white: false,
         black: false
@@ -851,10 +242,42 @@ function createInitialGameState(variant, subvariant, whitePlayer, blackPlayer) {
   };
 }
 
+/**
+ * Set up a game from an imported FEN or PGN (customConfig.fen / customConfig.pgn).
+ * A PGN's moves are kept so the game record starts from the real initial position.
+ * Games from custom positions are never rated.
+ */
+function applyCustomPosition(gameState, customConfig) {
+  const definition = getVariant(gameState.variantName, gameState.subvariantName);
+  if (!definition.loadPosition) {
+    throw new Error(`Custom starting positions are not supported for ${definition.key}`);
+  }
+
+  const position = parseCustomPosition({ fen: customConfig.fen, pgn: customConfig.pgn });
+  const now = Date.now();
+  const board = definition.loadPosition(definition.deserialize(gameState.board, now), position, now);
+  gameState.board = definition.serialize(board, now);
+
+  gameState.moves = position.moves.map((move) => ({ ...move, color: move.color === 'w' ? 'white' : 'black' }));
+  gameState.moveCount = gameState.moves.length;
+  gameState.lastMove = gameState.moves[gameState.moves.length - 1] || null;
+  gameState.positionHistory = [position.initialFen, ...position.moves.map((move) => move.after)];
+  gameState.metadata.rated = false;
+  gameState.metadata.customPosition = {
+    source: customConfig.pgn ? 'pgn' : 'fen',
+    // The FEN or PGN as imported (pockets included), so a rematch can start from it again
+    input: customConfig.pgn || customConfig.fen,
+    initialFen: position.initialFen,
+    fen: position.fen
+  };
+}
+
 /**
  * Get time control type based on time settings (Chess.com style)
+ * @param {Object} timeControl - { base, increment } in ms
+ * @returns {string} One of TIME_CONTROL_CATEGORIES
  */
-function getTimeControlType(timeControl) {
+export function getTimeControlType(timeControl) {
   const baseMinutes = timeControl.base / (60 * 1000);
   const incrementSeconds = timeControl.increment / 1000;
   
@@ -868,6 +291,36 @@ function getTimeControlType(timeControl) {
   }
 }
 
+/**
+ * Resolve the clock for a new game: the variant's own time control, or a requested
+ * base+increment within TIME_CONTROL_LIMITS. Variants with a fixed time per move
+ * (sixpointer) can't take any clock but their own.
+ * @param {Object} [requested] - { base, increment } in ms
+ * @returns {{ base: number, increment: number }}
+ * @throws {Error} If the variant is unknown or the requested clock isn't allowed
+ */
+export function resolveTimeControl(variant, subvariant, requested) {
+  const definition = getVariant(variant, subvariant);
+  const ownClock = { base: definition.timeControl.base, increment: definition.timeControl.increment };
+  if (!requested) return ownClock;
+
+  const base = Number(requested.base);
+  const increment = Number(requested.increment ?? 0);
+  if (base === ownClock.base && increment === ownClock.increment) return ownClock;
+  if (definition.timeControl.perMove) {
+    throw new Error(`${definition.key} is played with a fixed time per move`);
+  }
+
+  const { MIN_BASE, MAX_BASE, MAX_INCREMENT } = TIME_CONTROL_LIMITS;
+  if (!Number.isInteger(base) || base < MIN_BASE || base > MAX_BASE) {
+    throw new Error(`Base time must be from ${MIN_BASE / 1000} seconds to ${MAX_BASE / 60000} minutes`);
+  }
+  if (!Number.isInteger(increment) || increment < 0 || increment > MAX_INCREMENT) {
+    throw new Error(`Increment must be from 0 to ${MAX_INCREMENT / 1000} seconds`);
+  }
+  return { base, increment };
+}
+
 /**
  * Get comprehensive chess rules based on variant and subvariant
  */
@@ -999,7 +452,7 @@ function initializeTimers(gameState) {
   const { timeControl } = gameState;
   
   let initialWhite, initialBlack;
-  if (timeControl.type === "sixpointer") {
+  if (timeControl.perMove) {
     initialWhite = timeControl.perMove;
     initialBlack = timeControl.perMove;
   } else {
@@ -1020,6 +473,50 @@ function initializeTimers(gameState) {
   };
 }
 
+/**
+ * Check the days per move asked for a correspondence game of a variant
+ * @returns {number} Days per move
+ * @throws {Error} If it's out of range or the variant can't be played by correspondence
+ */
+export function resolveDaysPerMove(variant, subvariant, daysPerMove) {
+  const days = Number(daysPerMove);
+  if (!Number.isInteger(days) || days < MIN_DAYS_PER_MOVE || days > MAX_DAYS_PER_MOVE) {
+    throw new Error(`Days per move must be a whole number from ${MIN_DAYS_PER_MOVE} to ${MAX_DAYS_PER_MOVE}`);
+  }
+  const definition = getVariant(variant, subvariant);
+  if (definition.correspondence === false) {
+    throw new Error(`${definition.key} can't be played by correspondence`);
+  }
+  return days;
+}
+
+/**
+ * Turn a new game into a correspondence game: each side gets daysPerMove for every move
+ * (makeMove resets both clocks after each move) and no increment.
+ */
+function applyCorrespondence(gameState, requestedDaysPerMove) {
+  const daysPerMove = resolveDaysPerMove(gameState.variantName, gameState.subvariantName, requestedDaysPerMove);
+  const moveTime = daysPerMove * CORRESPONDENCE_DAY;
+  gameState.metadata.correspondence = { daysPerMove };
+  gameState.timeControl = {
+    ...gameState.timeControl,
+    type: 'correspondence',
+    baseTime: moveTime,
+    increment: 0,
+    daysPerMove,
+    timers: { white: moveTime, black: moveTime }
+  };
+  applyTimeControl(gameState.board, { base: moveTime, increment: 0 });
+}
+
+/**
+ * When the side to move in a correspondence game runs out of time
+ */
+export function getMoveDeadline(gameState) {
+  const turnStart = gameState.board.turnStartTimestamp ?? gameState.startedAt;
+  return new Date(turnStart + gameState.metadata.correspondence.daysPerMove * CORRESPONDENCE_DAY);
+}
+
 export async function createGameSession(player1, player2, variant, subvariant, source, customConfig = {}) {
     try {
         // Input validation
@@ -1055,10 +552,13 @@ export async function createGameSession(player1, player2, variant, subvariant, s
         const sessionId = uuidv4();
         
         // Assign colors randomly
-        const { whitePlayer, blackPlayer } = assignPlayerColors(player1, player2);
+        const { whitePlayer, blackPlayer } = assignPlayerColors(player1, player2, customConfig.whiteUserId);
         
         // Create initial game state
-        const gameState = createInitialGameState(variant, subvariant, whitePlayer, blackPlayer);
+        const gameState = createInitialGameState(variant, subvariant, whitePlayer, blackPlayer, {
+          startPositionId: customConfig.startPositionId,
+          ...(customConfig.timeControl && { timeControl: resolveTimeControl(variant, subvariant, customConfig.timeControl) }),
+        });
         gameState.sessionId = sessionId;
 
         // Handle mixed sources - source parameter will be an object with player sources
@@ -1068,10 +568,6 @@ export async function createGameSession(player1, player2, variant, subvariant, s
         };
 
         // Apply any custom configurations
-        if (customConfig.timeControl) {
-          gameState.timeControl = { ...gameState.timeControl, ...customConfig.timeControl };
-        }
-        
         if (customConfig.rated !== undefined) {
           gameState.metadata.rated = customConfig.rated;
         }
@@ -1079,40 +575,73 @@ export async function createGameSession(player1, player2, variant, subvariant, s
         if (customConfig.allowSpectators !== undefined) {
           gameState.metadata.allowSpectators = customConfig.allowSpectators;
         }
+
+        // Bughouse board: which board this is and who partners whom (see bughouse.controller.js)
+        if (customConfig.bughouse) {
+          gameState.metadata.bughouse = customConfig.bughouse;
+        }
+
+        if (customConfig.fen || customConfig.pgn) {
+          applyCustomPosition(gameState, customConfig);
+        }
+
+        if (customConfig.correspondence) {
+          applyCorrespondence(gameState, customConfig.correspondence.daysPerMove);
+        }
         
         // Initialize timers
         const timers = initializeTimers(gameState);
         gameState.timers = timers;
+
+        if (gameState.metadata.correspondence) {
+          // Kept in MongoDB rather than an expiring Redis hash, and not mapped as the players' active session
+          await correspondenceModel.create({
+            sessionId,
+            variant,
+            subvariant,
+            players: { white: whitePlayer.userId, black: blackPlayer.userId },
+            daysPerMove: gameState.metadata.correspondence.daysPerMove,
+            status: 'active',
+            activeColor: gameState.board.activeColor,
+            moveDeadline: getMoveDeadline(gameState),
+            gameState: JSON.stringify(convertBigIntToNumber(gameState)),
+            version: 0
+          });
+        } else {
+          // Prepare session data for Redis
+          const sessionData = {
+            sessionId,
+            gameState: JSON.stringify(convertBigIntToNumber(gameState)),
+            playerWhiteId: whitePlayer.userId,
+            playerBlackId: blackPlayer.userId,
+            variant,
+            subvariant,
+            status: 'active',
+            version: '0',
+            createdAt: Date.now().toString(),
+            lastActivity: Date.now().toString(),
+            timeControl: JSON.stringify(convertBigIntToNumber(gameState.timeControl))
+          };
         
-        // Prepare session data for Redis
-        const sessionData = {
-          sessionId,
-          gameState: JSON.stringify(convertBigIntToNumber(gameState)),
-          playerWhiteId: whitePlayer.userId,
-          playerBlackId: blackPlayer.userId,
-          variant,
-          subvariant,
-          status: 'active',
-          createdAt: Date.now().toString(),
-          lastActivity: Date.now().toString(),
-          timeControl: JSON.stringify(convertBigIntToNumber(gameState.timeControl))
-        };
-        
-        // Store in Redis using transaction for atomicity
-        const multi = redisClient.multi();
+          // Store in Redis using transaction for atomicity
+          const multi = redisClient.multi();
         
-        // Store session data
-        multi.hSet(sessionKey(sessionId), sessionData);
-        multi.expire(sessionKey(sessionId), Math.floor(SESSION_TIMEOUT / 1000));
+          // Store session data
+          multi.hSet(sessionKey(sessionId), sessionData);
+          multi.expire(sessionKey(sessionId), Math.floor(SESSION_TIMEOUT / 1000));
         
-        // Map users to session
-        multi.set(userSessionKey(whitePlayer.userId), sessionId);
-        multi.set(userSessionKey(blackPlayer.userId), sessionId);
-        multi.expire(userSessionKey(whitePlayer.userId), Math.floor(SESSION_TIMEOUT / 1000));
-        multi.expire(userSessionKey(blackPlayer.userId), Math.floor(SESSION_TIMEOUT / 1000));
+          // Map users to session
+          multi.set(userSessionKey(whitePlayer.userId), sessionId);
+          multi.set(userSessionKey(blackPlayer.userId), sessionId);
+          multi.expire(userSessionKey(whitePlayer.userId), Math.floor(SESSION_TIMEOUT / 1000));
+          multi.expire(userSessionKey(blackPlayer.userId), Math.floor(SESSION_TIMEOUT / 1000));
         
-        // Execute transaction
-        await multi.exec();
+          // Execute transaction
+          await multi.exec();
+
+          // The clock runs from creation: a game nobody opens is still aborted on time
+          sessionCreatedListener?.(sessionId, gameState);
+        }
         
         // Log session creation
         console.log(`Game session created: ${sessionId}`, {
@@ -1130,6 +659,10 @@ export async function createGameSession(player1, player2, variant, subvariant, s
               sessionId,
               subvariant,
               state: gameState.board,
+              initialFen: gameState.positionHistory[0],
+              timeControl: gameState.timeControl,
+              rated: gameState.metadata.rated,
+              startedAt: new Date(gameState.startedAt),
               players: {
                   white: whitePlayer.userId,
                   black: blackPlayer.userId
@@ -1200,12 +733,14 @@ export async function getSessionById(sessionId) {
     const sessionData = await redisClient.hGetAll(sessionKey(sessionId));
     
     if (!sessionData || Object.keys(sessionData).length === 0) {
-      return null;
+      return await getCorrespondenceSession(sessionId);
     }
     
     // Parse game state and convert any BigInt to Number (defensive)
     let gameState = JSON.parse(sessionData.gameState);
     gameState = convertBigIntToNumber(gameState);
+    // The version this read saw; updateGameState only writes if it is still current
+    gameState.version = Number.parseInt(sessionData.version) || 0;
     return {
       sessionId,
       gameState,
@@ -1220,6 +755,33 @@ export async function getSessionById(sessionId) {
   }
 }
 
+/**
+ * Read a correspondence game from MongoDB in the same shape as a Redis session
+ */
+async function getCorrespondenceSession(sessionId) {
+  const stored = await correspondenceModel.findOne({ sessionId }).lean();
+  if (!stored) {
+    return null;
+  }
+
+  const gameState = convertBigIntToNumber(JSON.parse(stored.gameState));
+  gameState.version = stored.version;
+  return {
+    sessionId,
+    gameState,
+    createdAt: stored.createdAt.getTime(),
+    lastActivity: stored.updatedAt.getTime(),
+    status: stored.status
+  };
+}
+
+/**
+ * Check whether a session is a correspondence game (stored in MongoDB)
+ */
+export async function isCorrespondenceSession(sessionId) {
+  return Boolean(await correspondenceModel.exists({ sessionId }));
+}
+
 /**
  * Check if user has active session
  */
@@ -1270,35 +832,89 @@ export async function updateSessionActivity(sessionId) {
 }
 
 /**
- * Update game state in Redis
+ * Update game state in Redis. The write is a compare-and-set against the version
+ * the state was read at (gameState.version, set by getSessionById); on success
+ * gameState.version is bumped to the stored version.
+ * @returns {Promise<boolean>} false if the session no longer exists
+ * @throws {Error} with code STALE_GAME_STATE if the session was updated since it was read
  */
 export async function updateGameState(sessionId, gameState) {
+  if (gameState.metadata?.correspondence) {
+    return updateCorrespondenceState(sessionId, gameState);
+  }
+
+  const expectedVersion = gameState.version || 0;
+  const nextVersion = expectedVersion + 1;
+  let outcome;
   try {
-    const exists = await redisClient.exists(sessionKey(sessionId));
-    
-    if (!exists) {
-      return false;
-    }
-    
-    const multi = redisClient.multi();
-    multi.hSet(sessionKey(sessionId), {
-      gameState: JSON.stringify(convertBigIntToNumber(gameState)),
-      lastActivity: Date.now().toString(),
-      status: gameState.status
+    outcome = await redisClient.eval(COMPARE_AND_SET_SCRIPT, {
+      keys: [sessionKey(sessionId)],
+      arguments: [
+        String(expectedVersion),
+        JSON.stringify(convertBigIntToNumber({ ...gameState, version: nextVersion })),
+        Date.now().toString(),
+        gameState.status,
+        String(nextVersion),
+        String(Math.floor(SESSION_TIMEOUT / 1000))
+      ]
     });
-    multi.expire(sessionKey(sessionId), Math.floor(SESSION_TIMEOUT / 1000));
-    
-    await multi.exec();
-    return true;
-    
   } catch (error) {
     console.error('Error updating game state:', error);
     return false;
   }
+
+  if (outcome === -1) {
+    return false;
+  }
+  if (outcome === 0) {
+    throw staleGameStateError();
+  }
+  gameState.version = nextVersion;
+  return true;
+}
+
+/**
+ * updateGameState for correspondence games: the same compare-and-set on the MongoDB
+ * document, which also keeps the side to move and its deadline queryable
+ */
+async function updateCorrespondenceState(sessionId, gameState) {
+  const expectedVersion = gameState.version || 0;
+  const nextVersion = expectedVersion + 1;
+  let stored;
+  try {
+    stored = await correspondenceModel.findOneAndUpdate(
+      { sessionId, version: expectedVersion },
+      {
+        $set: {
+          gameState: JSON.stringify(convertBigIntToNumber({ ...gameState, version: nextVersion })),
+          version: nextVersion,
+          status: gameState.status,
+          activeColor: gameState.board.activeColor,
+          moveDeadline: getMoveDeadline(gameState)
+        }
+      },
+      { projection: { _id: 1 } }
+    );
+    if (!stored && !(await correspondenceModel.exists({ sessionId }))) {
+      return false;
+    }
+  } catch (error) {
+    console.error('Error updating correspondence game state:', error);
+    return false;
+  }
+
+  if (!stored) {
+    throw staleGameStateError();
+  }
+  gameState.version = nextVersion;
+  return true;
 }
 
 /**
  * Check for time forfeiture
+ * Reads the live clock of the side to move through the variant registry and,
+ * if it has run out, finishes the game with a time_forfeit result.
+ * Per-move clocks (sixpointer) never forfeit; they are penalised instead.
  */
 export async function checkTimeForfeiture(sessionId) {
   try {
@@ -1308,19 +924,39 @@ export async function checkTimeForfeiture(sessionId) {
     }
     
     const { gameState } = session;
-    const { timers, board } = gameState;
-    const activeColor = board.activeColor;
+    const definition = getVariant(gameState.variantName, gameState.subvariantName);
+    const now = Date.now();
+    const board = definition.deserialize(gameState.board, now);
+
+    // Clocks only run once the first move has been played
+    if (definition.timeControl.perMove || !board.gameStarted) {
+      return null;
+    }
+
+    const clocks = definition.getTimers(board, now);
+    const activeColor = clocks.activeColor || board.activeColor;
     
-    if (timers[activeColor].remaining <= 0) {
+    if (clocks[activeColor] <= 0) {
       // Time has expired
       const winner = activeColor === 'white' ? 'black' : 'white';
+
+      board[`${activeColor}Time`] = 0;
+      board.gameEnded = true;
+      board.endReason = CHESS_CONSTANTS.WIN_REASONS.TIME_FORFEIT;
+      board.winnerColor = winner;
+      board.endTimestamp = now;
+      gameState.board = definition.serialize(board, now);
       
       gameState.status = 'finished';
-      gameState.result = winner === 'white' ? CHESS_CONSTANTS.GAME_RESULTS.WHITE_WINS : CHESS_CONSTANTS.GAME_RESULTS.BLACK_WINS;
+      gameState.result = winner;
       gameState.resultReason = CHESS_CONSTANTS.WIN_REASONS.TIME_FORFEIT;
       gameState.winner = winner;
-      gameState.endedAt = Date.now();
+      gameState.endedAt = now;
       gameState.timeControl.flagged[activeColor] = true;
+      if (gameState.timers?.[activeColor]) {
+        gameState.timers[activeColor].remaining = 0;
+        gameState.timers[activeColor].isRunning = false;
+      }
       
       await updateGameState(sessionId, gameState);
       
@@ -1344,16 +980,24 @@ export async function checkTimeForfeiture(sessionId) {
  * Get available game variants
  */
 export function getAvailableVariants() {
-  return Object.keys(GAME_VARIANTS).map(key => ({
-    key,
-    name: GAME_VARIANTS[key].name,
-    subvariants: Object.keys(GAME_VARIANTS[key].subvariants).map(subKey => ({
-      key: subKey,
-      name: GAME_VARIANTS[key].subvariants[subKey].name,
-      description: GAME_VARIANTS[key].subvariants[subKey].description,
-      timeControl: GAME_VARIANTS[key].subvariants[subKey].timeControl
-    }))
-  }));
+  const grouped = {};
+  for (const definition of listVariants()) {
+    if (!grouped[definition.variant]) {
+      grouped[definition.variant] = { key: definition.variant, name: definition.variant, subvariants: [] };
+    }
+    const entry = {
+      key: definition.subvariant,
+      name: definition.subvariant,
+      description: definition.description,
+      timeControl: definition.timeControl
+    };
+    if (definition.subvariant) {
+      grouped[definition.variant].subvariants.push(entry);
+    } else {
+      Object.assign(grouped[definition.variant], { description: entry.description, timeControl: entry.timeControl });
+    }
+  }
+  return Object.values(grouped);
 }
 
 /**
@@ -1361,4 +1005,4 @@ export function getAvailableVariants() {
  */
 export function getChessConstants() {
   return CHESS_CONSTANTS;
-}
\ No newline at end of file
+}
@@ -4,7 +4,9 @@ import { createGameSession } from './session.controller.js'; // Import createGam
 import UserModel from '../models/User.model.js';
 import TournamentModel from '../models/tournament.model.js'; // Import Tournament model
 // NEW IMPORTS for flexible fallback
-import { REGULAR_QUEUE_KEYS_BY_VARIANT, REGULAR_USER_DATA_KEY } from './matchmaking.controller.js';
+import { REGULAR_USER_DATA_KEY, REGULAR_QUEUE_KEYS_BY_VARIANT, getRegularQueueKey, getQueuedTimeControl } from './matchmaking.controller.js';
+import { listVariants } from '../validations/index.js';
+import { getVariantRating } from './rating.controller.js';
 
 // Constants for tournament management
 const TOURNAMENT_ID_COUNTER_KEY = 'tournament:id_counter';
@@ -19,32 +21,25 @@ const REJOIN_COOLDOWN = 10 * 1000; // 10 seconds
 const COOLDOWN_KEY = (uid) => `cooldown:${uid}`;
 const IDLE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
 
-// Supported variants (mirror from matchmaking.js or import if needed)
-const VARIANTS = ['crazyhouse', 'sixpointer', 'decay', 'classic'];
-
 /**
- * Helper: Get a random variant and subvariant (duplicate from matchmaking.js for self-containment, or export from there)
+ * Helper: Get a random variant and subvariant from the variant registry
  * This is used when a user *initially* joins a tournament queue.
  */
 function getRandomVariantAndSubvariant() {
-    const variantsWithSubvariants = [
-        { 
-            variant: 'crazyhouse', 
-            subvariants: ['standard', 'withTimer']  // Added Crazyhouse subvariants
-        },
-        { 
-            variant: 'sixpointer', 
-            subvariants: [] 
-        },
-        { 
-            variant: 'decay', 
-            subvariants: [] 
-        },
-        { 
-            variant: 'classic', 
-            subvariants: ['blitz', 'bullet', 'standard'] 
+    // Group registered definitions so every variant has an equal chance regardless of subvariant count
+    const variantsWithSubvariants = [];
+    for (const definition of listVariants()) {
+        // Team variants need four players, which tournament pairing doesn't do
+        if (definition.playersPerGame !== 2) continue;
+        let entry = variantsWithSubvariants.find((v) => v.variant === definition.variant);
+        if (!entry) {
+            entry = { variant: definition.variant, subvariants: [] };
+            variantsWithSubvariants.push(entry);
+        }
+        if (definition.subvariant) {
+            entry.subvariants.push(definition.subvariant);
         }
-    ];
+    }
 
     const randomVariantIndex = Math.floor(Math.random() * variantsWithSubvariants.length);
     const selectedVariant = variantsWithSubvariants[randomVariantIndex];
@@ -234,10 +229,7 @@ export async function addTournamentUserToQueue(userId, socketId, tournamentId, i
         // Assign random variant/subvariant immediately when joining tournament queue
         const { variant, subvariant } = getRandomVariantAndSubvariant();
 
-        let rank = 1200;
-        if (userDoc.ratings && typeof userDoc.ratings === 'object') {
-            rank = userDoc.ratings;
-        }
+        const rank = Math.round(getVariantRating(userDoc, variant, subvariant).rating);
 
         const now = Date.now();
         const score = parseFloat(rank) + (now / 1e13);
@@ -368,9 +360,7 @@ export async function tryMatchTournamentUser(userId, io) {
     console.log(`[tryMatchTournamentUser] No tournament match for ${userId}, checking regular queues for compatible variants`);
 
     // First, try to find a regular user with the SAME variant as tournament user
-    const tournamentUserQueueKey = userVariant === 'classic' ? 
-        REGULAR_QUEUE_KEYS_BY_VARIANT[`classic:${userSubvariant}`] : 
-        REGULAR_QUEUE_KEYS_BY_VARIANT[userVariant];
+    const tournamentUserQueueKey = getRegularQueueKey(userVariant, userSubvariant);
 
     if (tournamentUserQueueKey) {
         console.log(`[tryMatchTournamentUser] Checking regular queue for tournament user's variant: ${tournamentUserQueueKey}`);
@@ -406,7 +396,9 @@ export async function tryMatchTournamentUser(userId, io) {
 
     // --- 3. Final fallback: Check all regular queues (any variant) ---
     console.log(`[tryMatchTournamentUser] No compatible regular user found, checking all regular queues as final fallback`);
-    const allRegularQueueKeys = Object.values(REGULAR_QUEUE_KEYS_BY_VARIANT);
+    const allRegularQueueKeys = listVariants()
+        .filter((definition) => definition.playersPerGame === 2)
+        .flatMap((definition) => REGULAR_QUEUE_KEYS_BY_VARIANT[definition.key]);
 
     for (const regularQueueKey of allRegularQueueKeys) {
         if (!regularQueueKey || regularQueueKey === tournamentUserQueueKey) continue; // Skip already checked queue
@@ -482,15 +474,10 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
 
     if (isCrossQueueMatch) {
         // player2 is from a regular queue
-        let player2QueueKey;
-        if (player2Data.variant === 'classic') {
-            player2QueueKey = `queue:classic:${player2Data.subvariant}`;
-        } else if(player2Data.variant === 'crazyhouse') {
-            player2QueueKey = `queue:crazyhouse:${player2Data.subvariant}`;
-        } else {
-            player2QueueKey = `queue:${player2Data.variant}`;
+        const player2QueueKey = getRegularQueueKey(player2Data.variant, player2Data.subvariant, getQueuedTimeControl(player2Data));
+        if (player2QueueKey) {
+            await redisClient.zRem(player2QueueKey, userId2);
         }
-        await redisClient.zRem(player2QueueKey, userId2);
         await redisClient.del(REGULAR_USER_DATA_KEY(userId2)); // Clear regular user data
     } else {
         // player2 is also a tournament player
@@ -507,8 +494,8 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
     // Fetch user details for both users
     let userDoc1, userDoc2;
     try {
-        userDoc1 = await UserModel.findById(userId1).select('_id name ratings');
-        userDoc2 = await UserModel.findById(userId2).select('_id name ratings');
+        userDoc1 = await UserModel.findById(userId1).select('_id name variantRatings');
+        userDoc2 = await UserModel.findById(userId2).select('_id name variantRatings');
     } catch (err) {
         console.error(`[initiateMatch] Error fetching user details:`, err);
         player1Socket.emit('queue:error', { message: 'Failed to fetch opponent details.' });
@@ -524,8 +511,8 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
     }
 
     // Determine the rating to use for each player based on the *gameVariant*
-    const player1Rating = userDoc1.ratings
-    const player2Rating = userDoc2.ratings
+    const player1Rating = Math.round(getVariantRating(userDoc1, gameVariant, gameSubvariant).rating);
+    const player2Rating = Math.round(getVariantRating(userDoc2, gameVariant, gameSubvariant).rating);
 
     const player1 = {
         userId: userDoc1._id.toString(),
@@ -554,7 +541,9 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
         player2,
         gameVariant,
         gameSubvariant,
-        source  // Pass the source object instead of just 'tournament'
+        source,  // Pass the source object instead of just 'tournament'
+        // Like the variant, the clock is the regular player's in a cross-queue match
+        { timeControl: getQueuedTimeControl(isCrossQueueMatch ? player2Data : player1Data) }
     );
 
     // Emit match events with source information
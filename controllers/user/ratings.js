@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+import UserModel from "../../models/User.model.js";
+import RatingHistoryModel from "../../models/ratingHistory.model.js";
+import { getVariant } from "../../validations/index.js";
+
+const MAX_HISTORY_POINTS = 500;
+
+// Controller function for a user's current rating in every variant they have played
+export const getUserRatings = async (req, res) => {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ success: false, message: "Invalid user id" });
+    }
+
+    try {
+        const user = await UserModel.findById(userId).select('_id name variantRatings').lean();
+        if (!user) {
+            return res.status(404).json({ success: false, message: "User not found" });
+        }
+
+        const ratings = Object.entries(user.variantRatings || {}).map(([variant, entry]) => ({
+            variant,
+            rating: Math.round(entry.rating),
+            deviation: Math.round(entry.deviation),
+            provisional: entry.provisional,
+            gamesPlayed: entry.gamesPlayed,
+            lastPlayedAt: entry.lastPlayedAt,
+        }));
+
+        return res.status(200).json({ success: true, user: { _id: user._id, name: user.name }, ratings });
+    } catch (error) {
+        console.error("Error fetching user ratings:", error);
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
+
+// Controller function for a user's rating over time in one variant, oldest first for charting.
+// Query: variant, subvariant, from, to (ISO dates), limit
+export const getRatingHistory = async (req, res) => {
+    const { userId } = req.params;
+    const { variant = 'classic', subvariant = 'standard', from, to, limit = MAX_HISTORY_POINTS } = req.query;
+    if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ success: false, message: "Invalid user id" });
+    }
+
+    let key;
+    try {
+        key = getVariant(variant, subvariant).key;
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const playedAt = {};
+    if (from) playedAt.$gte = new Date(from);
+    if (to) playedAt.$lte = new Date(to);
+    if (Object.values(playedAt).some((date) => isNaN(date))) {
+        return res.status(400).json({ success: false, message: "Invalid date range" });
+    }
+
+    try {
+        const filter = { user: userId, variant: key };
+        if (Object.keys(playedAt).length) filter.playedAt = playedAt;
+
+        // Take the most recent points, then return them in chronological order
+        const entries = await RatingHistoryModel.find(filter)
+            .sort({ playedAt: -1 })
+            .limit(Math.min(Math.max(parseInt(limit) || MAX_HISTORY_POINTS, 1), MAX_HISTORY_POINTS))
+            .populate('opponent', '_id name')
+            .lean();
+        entries.reverse();
+
+        const history = entries.map((entry) => ({
+            playedAt: entry.playedAt,
+            sessionId: entry.sessionId,
+            opponent: entry.opponent,
+            opponentRating: Math.round(entry.opponentRating),
+            result: entry.result,
+            ratingBefore: Math.round(entry.ratingBefore),
+            rating: Math.round(entry.ratingAfter),
+            change: Math.round(entry.change),
+        }));
+
+        return res.status(200).json({ success: true, variant: key, history });
+    } catch (error) {
+        console.error("Error fetching rating history:", error);
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
@@ -8,9 +8,15 @@ import logger from "morgan";
 import http from "http";
 import { Server } from "socket.io";
 import authRoutes from "./router/auth.route.js";
+import ratingRoutes from "./router/rating.route.js";
+import gameRoutes from "./router/game.route.js";
+import correspondenceRoutes from "./router/correspondence.route.js";
+import challengeRoutes from "./router/challenge.route.js";
 import websocketRoutes from "./Websockets/websocket.controller.js";
 import UserModel from "./models/User.model.js";
 import { createTournament } from "./controllers/tournament.controller.js";
+import { expireCorrespondenceGames } from "./controllers/correspondence.controller.js";
+import { rearmActiveClocks } from "./controllers/clock.controller.js";
 import cron from 'node-cron';
 import { v1LeaderboardController } from "./controllers/leaderboards/1v1leaderboard.controller.js";
 import { getTournamentLeaderboard } from "./controllers/leaderboards/tournamentLeaderboard.controller.js";
@@ -70,12 +76,18 @@ app.get("/", (req, res) => {
 });
 
 app.use("/api/auth", authRoutes);
+app.use("/api/ratings", ratingRoutes);
+app.use("/api/games", gameRoutes);
+app.use("/api/correspondence", correspondenceRoutes);
+app.use("/api/challenges", challengeRoutes);
 app.use("/api/leaderboard",  v1LeaderboardController);
 app.use("/api/tournaments", getTournamentLeaderboard);
 
 
 // web-socket
 websocketRoutes(io);
+// REST handlers that change a game (correspondence moves) broadcast through it too
+app.set("io", io);
 
 cron.schedule('08 00 * * *', async () => {
         try {
@@ -99,6 +111,21 @@ cron.schedule('08 00 * * *', async () => {
         }
     });
 
+// Correspondence games have no live clock; end the ones whose move deadline has passed
+cron.schedule('* * * * *', async () => {
+    try {
+        await expireCorrespondenceGames(io);
+    } catch (error) {
+        console.error('[expireCorrespondenceGames] Scheduled run failed:', error);
+    }
+});
+
+// Real-time clocks are kept in memory; after a restart, re-arm the games still in progress
+// (runs after websocketRoutes, which registers the clock handlers)
+rearmActiveClocks().catch((error) => {
+    console.error('[rearmActiveClocks] Startup run failed:', error);
+});
+
 // MongoDB Connection
 mongoose
   .connect(process.env.MONGO_URI)
@@ -0,0 +1,48 @@
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+
+dotenv.config();
+const SECRET_KEY = process.env.SECRET_KEY;
+
+// Pull the token out of "Authorization: Bearer <token>"
+const readBearerToken = (header) => {
+    if (!header || typeof header !== "string") return null;
+    const [scheme, token] = header.split(" ");
+    return scheme === "Bearer" && token ? token : null;
+};
+
+/**
+ * Verify a token issued by loginUser/registerUser and return the user id it was signed for.
+ * Throws if the token is missing, expired or not signed with SECRET_KEY.
+ */
+export const verifyToken = (token) => {
+    if (!token) throw new Error("Authentication token missing");
+    if (!SECRET_KEY) throw new Error("SECRET_KEY is not configured");
+
+    const payload = jwt.verify(token, SECRET_KEY);
+    if (!payload?.userId) throw new Error("Invalid authentication token");
+    return String(payload.userId);
+};
+
+// Express middleware: sets req.userId from the bearer token or responds 401
+export const requireAuth = (req, res, next) => {
+    try {
+        req.userId = verifyToken(readBearerToken(req.headers.authorization));
+        return next();
+    } catch (error) {
+        return res.status(401).json({ message: "Unauthorized", error: error.message });
+    }
+};
+
+// socket.io middleware: sets socket.data.userId from handshake.auth.token (or the
+// Authorization header) and refuses the connection otherwise
+export const socketAuth = (socket, next) => {
+    try {
+        const token = socket.handshake.auth?.token || readBearerToken(socket.handshake.headers?.authorization);
+        socket.data.userId = verifyToken(token);
+        return next();
+    } catch (error) {
+        console.error(`[socketAuth] Rejected socket ${socket.id}: ${error.message}`);
+        return next(new Error("Unauthorized"));
+    }
+};
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// Live state of a correspondence (days per move) game. Real-time sessions are Redis
+// hashes that expire after SESSION_TIMEOUT; correspondence games can last weeks, so
+// session.controller.js keeps them here instead, with the same compare-and-set version.
+const CorrespondenceGame = new mongoose.Schema(
+    {
+        sessionId: {
+          type: String,
+          required: true,
+          unique: true
+        },
+        variant: String,
+        subvariant: String,
+        players: {
+          white: String, // User ids, as on the session
+          black: String
+        },
+        daysPerMove: Number,
+        status: {
+          type: String,
+          enum: ["active", "finished"],
+          default: "active"
+        },
+        activeColor: String, // Side to move
+        moveDeadline: Date, // When the side to move runs out of time
+        gameState: String, // JSON, as stored in the Redis session hash
+        version: {
+          type: Number,
+          default: 0
+        }
+      },
+    { timestamps: true }
+)
+
+CorrespondenceGame.index({ status: 1, moveDeadline: 1 });
+CorrespondenceGame.index({ "players.white": 1, status: 1 });
+CorrespondenceGame.index({ "players.black": 1, status: 1 });
+
+export default mongoose.model("CorrespondenceGame", CorrespondenceGame);
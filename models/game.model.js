@@ -1,5 +1,44 @@
 import mongoose from "mongoose";
 
+const Move = new mongoose.Schema(
+    {
+        ply: Number, // Half-move number, starting at 1
+        san: String,
+        from: String, // "pocket" for crazyhouse drops
+        to: String,
+        color: String,
+        piece: String,
+        captured: String,
+        promotion: String,
+        drop: Boolean,
+        fen: String, // Position after the move
+        timestamp: Number,
+        clocks: {
+          white: Number,
+          black: Number
+        },
+        variantData: {} // Pockets, frozen pieces, points... after the move
+      },
+    { _id: false }
+)
+
+const ChatMessage = new mongoose.Schema(
+    {
+        id: String,
+        userId: String,
+        username: String,
+        channel: {
+          type: String,
+          enum: ["players", "spectators", "partner"] // "partner": bughouse team chat
+        },
+        message: String, // As shown, after the blocklist filter
+        original: String, // What was typed, only kept when the filter changed it
+        filtered: Boolean,
+        sentAt: Date
+      },
+    { _id: false }
+)
+
 const Game = new mongoose.Schema(
     {
         variant: String, 
@@ -16,15 +55,25 @@ const Game = new mongoose.Schema(
           }
         },
         state: {},
+        initialFen: String,
+        moves: [Move],
+        timeControl: {},
         winner: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "User",
           default: null // null if draw or ongoing
         },
-        result: String, // "white", "black", "draw"
+        result: String, // Outcome as stored on the session (winner colour, "draw", "aborted", "checkmate"...)
+        resultReason: String,
+        winnerColor: String, // "white", "black" or null for a draw
+        variantData: {}, // Final pockets, frozen pieces, sixpointer points...
+        rated: Boolean,
+        chat: [ChatMessage], // Kept for moderation review
         startedAt: Date,
         endedAt: Date,
       }      
 )
 
+Game.index({ sessionId: 1 });
+
 export default mongoose.model("Game", Game);
\ No newline at end of file
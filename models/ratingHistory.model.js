@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// One entry per player per rated game, written when the game's ratings are applied
+const RatingHistory = new mongoose.Schema(
+    {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true
+        },
+        variant: {
+          type: String, // Registry key ("classic:blitz", "decay", ...)
+          required: true
+        },
+        sessionId: String,
+        opponent: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User"
+        },
+        opponentRating: Number, // Opponent's pre-game rating
+        ratingBefore: Number,
+        ratingAfter: Number,
+        change: Number,
+        deviation: Number, // Post-game deviation
+        result: {
+          type: String,
+          enum: ["win", "loss", "draw"]
+        },
+        playedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+)
+
+RatingHistory.index({ user: 1, variant: 1, playedAt: 1 });
+
+export default mongoose.model("RatingHistory", RatingHistory);
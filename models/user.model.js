@@ -1,5 +1,35 @@
 import mongoose from "mongoose";
 
+const VariantRating = new mongoose.Schema(
+        {
+            rating: {
+              type: Number,
+              default: 1500
+            },
+            deviation: {
+              type: Number,
+              default: 350
+            },
+            volatility: {
+              type: Number,
+              default: 0.06
+            },
+            gamesPlayed: {
+              type: Number,
+              default: 0
+            },
+            provisional: {
+              type: Boolean,
+              default: true
+            },
+            lastPlayedAt: {
+              type: Date,
+              default: null
+            }
+          },
+        { _id: false }
+)
+
 const User = new mongoose.Schema(
         {
             name: {
@@ -14,9 +44,11 @@ const User = new mongoose.Schema(
               type: String,
               required: true
             },
-            ratings: {
-              type: Number,
-              default: 0
+            // Glicko-2 rating per variant, keyed by registry key ("classic:blitz", "decay", ...)
+            variantRatings: {
+              type: Map,
+              of: VariantRating,
+              default: {}
             },
             win: {
               type: Number,
@@ -0,0 +1,17 @@
+import express from "express";
+import {
+  createLinkChallenge,
+  getLinkChallenge,
+  acceptLinkChallenge,
+  cancelLinkChallenge,
+} from "../controllers/challenge.controller.js";
+import { requireAuth } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.post("/", requireAuth, createLinkChallenge);
+router.get("/:challengeId", requireAuth, getLinkChallenge);
+router.post("/:challengeId/accept", requireAuth, acceptLinkChallenge);
+router.delete("/:challengeId", requireAuth, cancelLinkChallenge);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from "express";
+import {
+  createCorrespondenceGame,
+  listCorrespondenceGames,
+  getCorrespondenceGame,
+  submitCorrespondenceMove,
+} from "../controllers/correspondence.controller.js";
+import { requireAuth } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.post("/", requireAuth, createCorrespondenceGame);
+router.get("/", requireAuth, listCorrespondenceGames);
+router.get("/:sessionId", requireAuth, getCorrespondenceGame);
+router.post("/:sessionId/moves", requireAuth, submitCorrespondenceMove);
+
+export default router;
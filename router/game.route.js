@@ -0,0 +1,11 @@
+import express from "express";
+import { getGamePgn } from "../controllers/pgn.controller.js";
+import { validatePosition } from "../controllers/position.controller.js";
+import { requireAuth } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.post("/position", requireAuth, validatePosition);
+router.get("/:sessionId/pgn", getGamePgn);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { getUserRatings, getRatingHistory } from "../controllers/user/ratings.js";
+
+const router = express.Router();
+
+router.get("/:userId", getUserRatings);
+router.get("/:userId/history", getRatingHistory);
+
+export default router;
@@ -0,0 +1,81 @@
+import { registerVariant } from "./registry.js"
+import { createInitialState, getCurrentTimers } from "./classic/standard.js"
+import {
+  parseFen,
+  toFen,
+  pseudoLegalMoves,
+  applyMove,
+  withSan,
+  getRepetitionCount,
+  applyBoardMove,
+  PROMOTION_PIECES,
+} from "./board.js"
+
+// Antichess: the aim is to lose every piece. Captures are compulsory, there is no check
+// (the king is an ordinary piece that can be captured and promoted to) and no castling.
+// A side wins when it has no pieces left or no legal move.
+
+// Create initial state for a 10-minute game: the standard position without castling rights
+export function createAntichessInitialState() {
+  const state = createInitialState()
+  const position = parseFen(state.fen)
+  position.castling = ""
+  state.fen = toFen(position)
+  state.castlingRights = "-"
+  return state
+}
+
+function legalMoves(position) {
+  const moves = pseudoLegalMoves(position, { castling: false, promotions: [...PROMOTION_PIECES, "k"] })
+  const captures = moves.filter((move) => move.captured)
+  return withSan(captures.length ? captures : moves)
+}
+
+// Generate all legal moves for the side to move: only captures when any capture is possible
+export function getAntichessLegalMoves(fen) {
+  try {
+    if (!fen || typeof fen !== "string") {
+      console.error("[MOVES] Invalid FEN provided to getAntichessLegalMoves:", fen)
+      return []
+    }
+    return legalMoves(parseFen(fen))
+  } catch (error) {
+    console.error("Error getting antichess legal moves:", error)
+    return []
+  }
+}
+
+// Game status for the position after a move; the side to move wins if it is out of pieces or moves
+export function checkAntichessStatus(state, position = parseFen(state.fen)) {
+  const toMove = position.turn === "w" ? "white" : "black"
+  const hasPieces = Object.values(position.pieces).some((piece) => piece.color === position.turn)
+  if (!hasPieces) return { result: "allPiecesLost", winnerColor: toMove, reason: `${toMove} lost all pieces` }
+  if (legalMoves(position).length === 0) return { result: "stalemateWin", winnerColor: toMove, reason: `${toMove} has no legal moves` }
+
+  if (position.halfmove >= 100) return { result: "draw", reason: "50-move rule", winnerColor: null }
+  if (getRepetitionCount(state) >= 3) return { result: "draw", reason: "threefold repetition", winnerColor: null }
+
+  return { result: "ongoing", winnerColor: null }
+}
+
+const ANTICHESS_RULES = {
+  getLegalMoves: legalMoves,
+  applyMove,
+  checkGameStatus: checkAntichessStatus,
+}
+
+// Validate a move (forced captures included) and update timers
+export function validateAndApplyAntichessMove(state, move, playerColor, currentTimestamp) {
+  return applyBoardMove(state, move, playerColor, currentTimestamp, ANTICHESS_RULES)
+}
+
+registerVariant({
+  variant: "antichess",
+  description: "Antichess: captures are compulsory and the first side to lose all its pieces wins",
+  timeControl: { base: 10 * 60 * 1000, increment: 0 }, // 10+0
+  queueKey: "queue:antichess",
+  createInitialState: createAntichessInitialState,
+  validateMove: validateAndApplyAntichessMove,
+  getLegalMoves: (state) => getAntichessLegalMoves(state.fen),
+  getTimers: getCurrentTimers,
+})
@@ -0,0 +1,140 @@
+import { registerVariant } from "./registry.js"
+import { createInitialState, getCurrentTimers } from "./classic/standard.js"
+import {
+  parseFen,
+  pseudoLegalMoves,
+  applyMove,
+  clearCastlingRights,
+  castlingPath,
+  findPieces,
+  neighbours,
+  isAttacked,
+  otherColor,
+  withSan,
+  getRepetitionCount,
+  applyBoardMove,
+} from "./board.js"
+
+// Atomic: every capture explodes, removing the capturing piece, the captured piece and
+// every piece other than a pawn on the eight squares around the capture. Exploding the
+// enemy king wins. Kings can't capture, a move may not explode your own king, and kings
+// standing next to each other can't check one another (neither can be captured).
+
+// Create initial state for a 10-minute game from the standard position
+export function createAtomicInitialState() {
+  return createInitialState()
+}
+
+/**
+ * Play a move with its explosion, if it captures
+ * @returns {Object} The position after the move
+ */
+export function applyAtomicMove(position, move) {
+  const next = applyMove(position, move)
+  if (!move.captured) return next
+
+  const blast = neighbours(move.to)
+  delete next.pieces[move.to]
+  for (const square of blast) {
+    const piece = next.pieces[square]
+    if (piece && piece.type !== "p") delete next.pieces[square]
+  }
+  clearCastlingRights(next, [move.to, ...blast])
+  return next
+}
+
+// A king is in check when an enemy piece attacks it directly, unless the kings touch
+export function isAtomicCheck(position, color) {
+  const king = findPieces(position, "k", color)[0]
+  if (!king) return false
+  const enemyKing = findPieces(position, "k", otherColor(color))[0]
+  if (enemyKing && neighbours(king).includes(enemyKing)) return false
+  return isAttacked(position, king, otherColor(color))
+}
+
+function isLegal(position, move) {
+  const us = position.turn
+  if (move.piece === "k" && move.captured) return false
+
+  if (move.flags === "k" || move.flags === "q") {
+    if (isAtomicCheck(position, us)) return false
+    if (castlingPath(move).slice(1).some((square) => isAttacked(position, square, otherColor(us)))) return false
+  }
+
+  const after = applyAtomicMove(position, move)
+  if (findPieces(after, "k", us).length === 0) return false
+  // Exploding the enemy king ends the game, even out of check
+  if (findPieces(after, "k", otherColor(us)).length === 0) return true
+  return !isAtomicCheck(after, us)
+}
+
+function legalMoves(position) {
+  return withSan(pseudoLegalMoves(position).filter((move) => isLegal(position, move)))
+}
+
+// Generate all legal moves for the side to move
+export function getAtomicLegalMoves(fen) {
+  try {
+    if (!fen || typeof fen !== "string") {
+      console.error("[MOVES] Invalid FEN provided to getAtomicLegalMoves:", fen)
+      return []
+    }
+    return legalMoves(parseFen(fen))
+  } catch (error) {
+    console.error("Error getting atomic legal moves:", error)
+    return []
+  }
+}
+
+// Game status for the position after a move
+export function checkAtomicStatus(state, position = parseFen(state.fen)) {
+  for (const [color, turn] of [["white", "w"], ["black", "b"]]) {
+    if (findPieces(position, "k", turn).length === 0) {
+      return { result: "explosion", winnerColor: color === "white" ? "black" : "white", reason: `${color} king exploded` }
+    }
+  }
+
+  if (legalMoves(position).length === 0) {
+    if (isAtomicCheck(position, position.turn)) {
+      return { result: "checkmate", winnerColor: position.turn === "w" ? "black" : "white" }
+    }
+    return { result: "draw", reason: "stalemate", winnerColor: null }
+  }
+
+  if (Object.keys(position.pieces).length === 2) return { result: "draw", reason: "insufficient material", winnerColor: null }
+  if (position.halfmove >= 100) return { result: "draw", reason: "50-move rule", winnerColor: null }
+  if (getRepetitionCount(state) >= 3) return { result: "draw", reason: "threefold repetition", winnerColor: null }
+
+  return { result: "ongoing", winnerColor: null }
+}
+
+const ATOMIC_RULES = {
+  getLegalMoves: legalMoves,
+  applyMove: applyAtomicMove,
+  checkGameStatus: checkAtomicStatus,
+  describePosition: (position, status) => {
+    const check = status.result !== "explosion" && isAtomicCheck(position, position.turn)
+    return {
+      check,
+      checkmate: status.result === "checkmate",
+      stalemate: status.reason === "stalemate",
+      sanSuffix: status.result === "checkmate" ? "#" : check ? "+" : "",
+    }
+  },
+}
+
+// Validate a move (explosions included) and update timers
+export function validateAndApplyAtomicMove(state, move, playerColor, currentTimestamp) {
+  return applyBoardMove(state, move, playerColor, currentTimestamp, ATOMIC_RULES)
+}
+
+registerVariant({
+  variant: "atomic",
+  description: "Atomic: captures explode the surrounding pieces, and blowing up the enemy king wins",
+  timeControl: { base: 10 * 60 * 1000, increment: 0 }, // 10+0
+  queueKey: "queue:atomic",
+  createInitialState: createAtomicInitialState,
+  validateMove: validateAndApplyAtomicMove,
+  getLegalMoves: (state) => getAtomicLegalMoves(state.fen),
+  getTimers: getCurrentTimers,
+})
@@ -0,0 +1,469 @@
+import { addIncrement } from "./classic/standard.js"
+
+// Plain board model for variants whose rules chess.js can't express (atomic, antichess):
+// FEN parsing and printing, pseudo-legal move generation, move application and SAN.
+// Which of the generated moves are legal, and how the game ends, is up to each variant;
+// applyBoardMove runs the shared clock and bookkeeping around a variant's rules.
+
+const FILES = "abcdefgh"
+const DEFAULT_BASE_TIME = 10 * 60 * 1000 // For boards stored without their own baseTime
+const PIECE_LETTERS = { p: "", n: "N", b: "B", r: "R", q: "Q", k: "K" }
+export const PROMOTION_PIECES = ["q", "r", "b", "n"]
+
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]]
+const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]]
+const BISHOP_LINES = [[1, 1], [1, -1], [-1, 1], [-1, -1]]
+const ROOK_LINES = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+// Castling rights lost when a piece leaves (or is removed from) one of these squares
+const CASTLING_SQUARES = { e1: "KQ", h1: "K", a1: "Q", e8: "kq", h8: "k", a8: "q" }
+
+export const otherColor = (color) => (color === "w" ? "b" : "w")
+const toSquare = (file, rank) => `${FILES[file]}${rank + 1}`
+const toCoords = (square) => [FILES.indexOf(square[0]), Number(square[1]) - 1]
+const onBoard = (file, rank) => file >= 0 && file < 8 && rank >= 0 && rank < 8
+
+/**
+ * Parse a FEN into { pieces: { [square]: { type, color } }, turn, castling, epSquare, halfmove, fullmove }
+ */
+export function parseFen(fen) {
+  const [placement, turn = "w", castling = "-", epSquare = "-", halfmove = "0", fullmove = "1"] = fen.trim().split(/\s+/)
+  const pieces = {}
+  placement.split("/").forEach((row, index) => {
+    const rank = 7 - index
+    let file = 0
+    for (const char of row) {
+      if (/\d/.test(char)) {
+        file += Number(char)
+      } else {
+        pieces[toSquare(file, rank)] = { type: char.toLowerCase(), color: char === char.toUpperCase() ? "w" : "b" }
+        file++
+      }
+    }
+  })
+  return {
+    pieces,
+    turn,
+    castling: castling === "-" ? "" : castling,
+    epSquare: epSquare === "-" ? null : epSquare,
+    halfmove: Number.parseInt(halfmove) || 0,
+    fullmove: Number.parseInt(fullmove) || 1,
+  }
+}
+
+export function toFen(position) {
+  const rows = []
+  for (let rank = 7; rank >= 0; rank--) {
+    let row = ""
+    let empty = 0
+    for (let file = 0; file < 8; file++) {
+      const piece = position.pieces[toSquare(file, rank)]
+      if (!piece) {
+        empty++
+        continue
+      }
+      if (empty) row += empty
+      empty = 0
+      row += piece.color === "w" ? piece.type.toUpperCase() : piece.type
+    }
+    rows.push(empty ? row + empty : row)
+  }
+  return `${rows.join("/")} ${position.turn} ${position.castling || "-"} ${position.epSquare || "-"} ${position.halfmove} ${position.fullmove}`
+}
+
+export function findPieces(position, type, color) {
+  return Object.keys(position.pieces).filter((square) => {
+    const piece = position.pieces[square]
+    return piece.type === type && piece.color === color
+  })
+}
+
+// The eight squares around a square
+export function neighbours(square) {
+  const [file, rank] = toCoords(square)
+  return KING_STEPS.filter(([df, dr]) => onBoard(file + df, rank + dr)).map(([df, dr]) => toSquare(file + df, rank + dr))
+}
+
+/**
+ * Check whether a side attacks a square in the ordinary chess sense
+ * @param {Object} position
+ * @param {string} square
+ * @param {"w"|"b"} byColor
+ */
+export function isAttacked(position, square, byColor) {
+  const [file, rank] = toCoords(square)
+  const pieceAt = (f, r) => (onBoard(f, r) ? position.pieces[toSquare(f, r)] : undefined)
+  const isOneOf = (piece, types) => piece && piece.color === byColor && types.includes(piece.type)
+
+  const pawnRank = rank - (byColor === "w" ? 1 : -1)
+  if (isOneOf(pieceAt(file - 1, pawnRank), "p") || isOneOf(pieceAt(file + 1, pawnRank), "p")) return true
+  if (KNIGHT_STEPS.some(([df, dr]) => isOneOf(pieceAt(file + df, rank + dr), "n"))) return true
+  if (KING_STEPS.some(([df, dr]) => isOneOf(pieceAt(file + df, rank + dr), "k"))) return true
+
+  for (const [lines, types] of [[BISHOP_LINES, "bq"], [ROOK_LINES, "rq"]]) {
+    for (const [df, dr] of lines) {
+      let [f, r] = [file + df, rank + dr]
+      while (onBoard(f, r)) {
+        const piece = pieceAt(f, r)
+        if (piece) {
+          if (isOneOf(piece, types)) return true
+          break
+        }
+        f += df
+        r += dr
+      }
+    }
+  }
+  return false
+}
+
+/**
+ * Every move the side to move could make ignoring king safety, in chess.js's verbose
+ * shape ({ color, piece, from, to, captured?, promotion?, flags }). Castling is only
+ * generated from the standard e/a/h squares and isn't checked for attacked squares.
+ * @param {Object} position
+ * @param {Object} [options]
+ * @param {boolean} [options.castling=true]
+ * @param {string[]} [options.promotions] - Piece types a pawn may promote to
+ */
+export function pseudoLegalMoves(position, { castling = true, promotions = PROMOTION_PIECES } = {}) {
+  const color = position.turn
+  const moves = []
+  const add = (piece, from, to, flags, extra = {}) => {
+    const target = position.pieces[to]
+    moves.push({ color, piece: piece.type, from, to, flags, ...(target && { captured: target.type }), ...extra })
+  }
+
+  for (const [from, piece] of Object.entries(position.pieces)) {
+    if (piece.color !== color) continue
+    const [file, rank] = toCoords(from)
+
+    if (piece.type === "p") {
+      const direction = color === "w" ? 1 : -1
+      const lastRank = color === "w" ? 7 : 0
+      const addPawnMove = (to, flags, extra) => {
+        if (toCoords(to)[1] === lastRank) {
+          for (const promotion of promotions) add(piece, from, to, `${flags}p`, { promotion })
+        } else {
+          add(piece, from, to, flags, extra)
+        }
+      }
+
+      const oneStep = onBoard(file, rank + direction) ? toSquare(file, rank + direction) : null
+      if (oneStep && !position.pieces[oneStep]) {
+        addPawnMove(oneStep, "n")
+        const twoStep = rank === (color === "w" ? 1 : 6) ? toSquare(file, rank + 2 * direction) : null
+        if (twoStep && !position.pieces[twoStep]) add(piece, from, twoStep, "b")
+      }
+      for (const df of [-1, 1]) {
+        if (!onBoard(file + df, rank + direction)) continue
+        const to = toSquare(file + df, rank + direction)
+        const target = position.pieces[to]
+        if (target && target.color !== color) {
+          addPawnMove(to, "c")
+        } else if (!target && to === position.epSquare) {
+          add(piece, from, to, "e", { captured: "p" })
+        }
+      }
+      continue
+    }
+
+    const steps = piece.type === "n" ? KNIGHT_STEPS : piece.type === "k" ? KING_STEPS : null
+    if (steps) {
+      for (const [df, dr] of steps) {
+        if (!onBoard(file + df, rank + dr)) continue
+        const to = toSquare(file + df, rank + dr)
+        const target = position.pieces[to]
+        if (!target) add(piece, from, to, "n")
+        else if (target.color !== color) add(piece, from, to, "c")
+      }
+      continue
+    }
+
+    const lines = piece.type === "b" ? BISHOP_LINES : piece.type === "r" ? ROOK_LINES : [...BISHOP_LINES, ...ROOK_LINES]
+    for (const [df, dr] of lines) {
+      let [f, r] = [file + df, rank + dr]
+      while (onBoard(f, r)) {
+        const to = toSquare(f, r)
+        const target = position.pieces[to]
+        if (target) {
+          if (target.color !== color) add(piece, from, to, "c")
+          break
+        }
+        add(piece, from, to, "n")
+        f += df
+        r += dr
+      }
+    }
+  }
+
+  if (castling) {
+    const rank = color === "w" ? "1" : "8"
+    const king = position.pieces[`e${rank}`]
+    const hasRook = (file) => {
+      const rook = position.pieces[`${file}${rank}`]
+      return rook && rook.type === "r" && rook.color === color
+    }
+    const empty = (files) => [...files].every((file) => !position.pieces[`${file}${rank}`])
+    const right = (side) => position.castling.includes(color === "w" ? side.toUpperCase() : side)
+
+    if (king && king.type === "k" && king.color === color) {
+      if (right("k") && hasRook("h") && empty("fg")) add(king, `e${rank}`, `g${rank}`, "k")
+      if (right("q") && hasRook("a") && empty("bcd")) add(king, `e${rank}`, `c${rank}`, "q")
+    }
+  }
+  return moves
+}
+
+// Squares the king stands on or crosses while castling, start and target included
+export function castlingPath(move) {
+  const rank = move.from[1]
+  return move.flags === "k" ? [`e${rank}`, `f${rank}`, `g${rank}`] : [`e${rank}`, `d${rank}`, `c${rank}`]
+}
+
+export function clearCastlingRights(position, squares) {
+  for (const square of squares) {
+    for (const right of CASTLING_SQUARES[square] || "") {
+      position.castling = position.castling.replace(right, "")
+    }
+  }
+}
+
+/**
+ * Play a pseudo-legal move on a copy of the position (captures, en passant, promotion,
+ * castling, rights, en passant square, clocks and turn)
+ * @returns {Object} The new position
+ */
+export function applyMove(position, move) {
+  const next = { ...position, pieces: { ...position.pieces } }
+  const piece = next.pieces[move.from]
+  delete next.pieces[move.from]
+
+  if (move.flags.includes("e")) delete next.pieces[`${move.to[0]}${move.from[1]}`]
+  next.pieces[move.to] = move.promotion ? { type: move.promotion, color: piece.color } : piece
+
+  if (move.flags === "k" || move.flags === "q") {
+    const rank = move.from[1]
+    const [rookFrom, rookTo] = move.flags === "k" ? [`h${rank}`, `f${rank}`] : [`a${rank}`, `d${rank}`]
+    next.pieces[rookTo] = next.pieces[rookFrom]
+    delete next.pieces[rookFrom]
+  }
+
+  next.epSquare = move.flags.includes("b") ? `${move.from[0]}${(Number(move.from[1]) + Number(move.to[1])) / 2}` : null
+  next.halfmove = piece.type === "p" || move.captured ? 0 : position.halfmove + 1
+  next.fullmove = position.fullmove + (position.turn === "b" ? 1 : 0)
+  next.turn = otherColor(position.turn)
+  clearCastlingRights(next, [move.from, move.to])
+  return next
+}
+
+// SAN without a check suffix, disambiguated against the other moves in the list
+function toSan(move, moves) {
+  if (move.flags === "k") return "O-O"
+  if (move.flags === "q") return "O-O-O"
+
+  const capture = move.captured ? "x" : ""
+  if (move.piece === "p") {
+    const promotion = move.promotion ? `=${move.promotion.toUpperCase()}` : ""
+    return `${capture ? move.from[0] : ""}${capture}${move.to}${promotion}`
+  }
+
+  const rivals = moves.filter((other) => other.piece === move.piece && other.to === move.to && other.from !== move.from)
+  let from = ""
+  if (rivals.length) {
+    if (!rivals.some((other) => other.from[0] === move.from[0])) from = move.from[0]
+    else if (!rivals.some((other) => other.from[1] === move.from[1])) from = move.from[1]
+    else from = move.from
+  }
+  return `${PIECE_LETTERS[move.piece]}${from}${capture}${move.to}`
+}
+
+// Add san and lan to a list of legal moves
+export function withSan(moves) {
+  return moves.map((move) => ({ ...move, san: toSan(move, moves), lan: `${move.from}${move.to}${move.promotion || ""}` }))
+}
+
+// Position key for repetition counting: placement, turn, castling rights and en passant square
+const repetitionKey = (fen) => fen.split(" ").slice(0, 4).join(" ")
+
+export function countRepetition(state) {
+  state.repetitions = state.repetitions || {}
+  const key = repetitionKey(state.fen)
+  state.repetitions[key] = (state.repetitions[key] || 0) + 1
+  return state.repetitions[key]
+}
+
+export function getRepetitionCount(state) {
+  return state.repetitions?.[repetitionKey(state.fen)] || 0
+}
+
+// Flag a player and build the validator result for it
+function timeoutResult(state, loserColor, currentTimestamp, reason, code) {
+  const winnerColor = loserColor === "white" ? "black" : "white"
+  state.gameEnded = true
+  state.endReason = "timeout"
+  state.winnerColor = winnerColor
+  state.winner = null
+  state.endTimestamp = currentTimestamp
+  return {
+    valid: false,
+    reason,
+    result: "timeout",
+    winnerColor,
+    winner: null,
+    gameEnded: true,
+    endReason: "timeout",
+    shouldNavigateToMenu: true,
+    endTimestamp: currentTimestamp,
+    code,
+  }
+}
+
+/**
+ * Validate and play a move for a board-model variant, charging the mover's clock the
+ * same way the classic validator does.
+ * @param {Object} state - Board state with fen, whiteTime, blackTime, turnStartTimestamp...
+ * @param {Object} move - { from, to, promotion? }
+ * @param {"white"|"black"} playerColor
+ * @param {number} currentTimestamp
+ * @param {Object} rules
+ * @param {Function} rules.getLegalMoves - (position) => legal moves with san
+ * @param {Function} rules.applyMove - (position, move) => position after the move
+ * @param {Function} rules.checkGameStatus - (state, position) => { result, winnerColor, reason? }
+ * @param {Function} [rules.describePosition] - (position, status) => { check, sanSuffix, ... } extras for state.gameState
+ */
+export function applyBoardMove(state, move, playerColor, currentTimestamp, rules) {
+  try {
+    if (!state || typeof state !== "object" || typeof state.fen !== "string") {
+      return { valid: false, reason: "Invalid game state", code: "INVALID_STATE" }
+    }
+
+    if (!move || typeof move !== "object" || !move.from || !move.to) {
+      return { valid: false, reason: "Invalid move format", code: "INVALID_MOVE" }
+    }
+
+    if (!playerColor || (playerColor !== "white" && playerColor !== "black")) {
+      return { valid: false, reason: "Invalid player color", code: "INVALID_PLAYER" }
+    }
+
+    if (!currentTimestamp || typeof currentTimestamp !== "number") {
+      currentTimestamp = Date.now()
+    }
+
+    if (state.gameEnded) {
+      return {
+        valid: false,
+        reason: "Game has already ended",
+        gameEnded: true,
+        shouldNavigateToMenu: true,
+        code: "GAME_ENDED",
+      }
+    }
+
+    const position = parseFen(state.fen)
+    if (typeof state.turnStartTimestamp !== "number") state.turnStartTimestamp = currentTimestamp
+    if (typeof state.lastMoveTimestamp !== "number") state.lastMoveTimestamp = currentTimestamp
+    if (typeof state.whiteTime !== "number") state.whiteTime = state.baseTime ?? DEFAULT_BASE_TIME
+    if (typeof state.blackTime !== "number") state.blackTime = state.baseTime ?? DEFAULT_BASE_TIME
+    if (!state.moveHistory) state.moveHistory = []
+    if (typeof state.gameStarted !== "boolean") state.gameStarted = false
+    if (!state.capturedPieces) state.capturedPieces = { white: [], black: [] }
+
+    if (state.whiteTime <= 0) return timeoutResult(state, "white", currentTimestamp, "White ran out of time", "WHITE_TIMEOUT")
+    if (state.blackTime <= 0) return timeoutResult(state, "black", currentTimestamp, "Black ran out of time", "BLACK_TIMEOUT")
+
+    const currentPlayerColor = position.turn === "w" ? "white" : "black"
+    if (currentPlayerColor !== playerColor) {
+      return { valid: false, reason: "Not your turn", code: "WRONG_TURN" }
+    }
+
+    const legalMove = rules.getLegalMoves(position).find(
+      (candidate) => candidate.from === move.from && candidate.to === move.to && (!candidate.promotion || candidate.promotion === move.promotion)
+    )
+    if (!legalMove) return { valid: false, reason: "Illegal move", code: "ILLEGAL_MOVE" }
+
+    // The first move starts the clocks without costing any time
+    if (!state.gameStarted || state.moveHistory.length === 0) {
+      state.gameStarted = true
+      state.firstMoveTimestamp = currentTimestamp
+      state.turnStartTimestamp = currentTimestamp
+      state.lastMoveTimestamp = currentTimestamp
+    } else {
+      const elapsed = currentTimestamp - state.turnStartTimestamp
+      const timeKey = currentPlayerColor === "white" ? "whiteTime" : "blackTime"
+      state[timeKey] = Math.max(0, state[timeKey] - elapsed)
+      if (state[timeKey] <= 0) {
+        const code = currentPlayerColor === "white" ? "WHITE_TIMEOUT_DURING_MOVE" : "BLACK_TIMEOUT_DURING_MOVE"
+        return timeoutResult(state, currentPlayerColor, currentTimestamp, "Time out", code)
+      }
+    }
+
+    const fenBefore = state.fen
+    const after = rules.applyMove(position, legalMove)
+    state.fen = toFen(after)
+
+    if (legalMove.captured) {
+      state.capturedPieces[currentPlayerColor].push(legalMove.captured)
+    }
+
+    const [placement, activeColor, castlingRights, enPassantSquare, halfmoveClock, fullmoveNumber] = state.fen.split(" ")
+    state.position = placement
+    state.activeColor = activeColor === "w" ? "white" : "black"
+    state.castlingRights = castlingRights
+    state.enPassantSquare = enPassantSquare
+    state.halfmoveClock = Number.parseInt(halfmoveClock)
+    state.fullmoveNumber = Number.parseInt(fullmoveNumber)
+    state.lastMoveTimestamp = currentTimestamp
+    state.turnStartTimestamp = currentTimestamp
+    addIncrement(state, currentPlayerColor)
+    countRepetition(state)
+
+    const resultStatus = rules.checkGameStatus(state, after)
+    const details = rules.describePosition ? rules.describePosition(after, resultStatus) : {}
+    const { sanSuffix = "", ...extras } = details
+    const result = { ...legalMove, san: legalMove.san + sanSuffix, before: fenBefore, after: state.fen }
+    state.moveHistory.push(result)
+
+    if (resultStatus.result !== "ongoing") {
+      state.gameEnded = true
+      state.endReason = resultStatus.result
+      state.winnerColor = resultStatus.winnerColor || null
+      state.endTimestamp = currentTimestamp
+      resultStatus.shouldNavigateToMenu = true
+      resultStatus.endTimestamp = currentTimestamp
+      resultStatus.winnerColor = state.winnerColor
+    }
+
+    state.gameState = {
+      ...extras,
+      promotionAvailable: Boolean(result.promotion),
+      lastMove: result,
+      result: resultStatus.result,
+      drawReason: resultStatus.winnerColor ? null : resultStatus.reason || null,
+      gameEnded: state.gameEnded,
+      endReason: state.endReason,
+      endTimestamp: state.endTimestamp,
+    }
+
+    return {
+      valid: true,
+      move: result,
+      state,
+      gameEnded: state.gameEnded,
+      endReason: state.endReason,
+      endTimestamp: state.endTimestamp,
+      code: "SUCCESS",
+      winnerColor: state.winnerColor,
+      winner: state.winner,
+      ...resultStatus,
+    }
+  } catch (error) {
+    console.error("Error in applyBoardMove:", error)
+    return {
+      valid: false,
+      reason: "Internal error during move validation",
+      error: error.message,
+      code: "INTERNAL_ERROR",
+      stack: error.stack,
+    }
+  }
+}
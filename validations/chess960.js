@@ -0,0 +1,505 @@
+import { randomInt } from "crypto"
+import { Chess } from "chess.js"
+import { registerVariant } from "./registry.js"
+import { getCurrentTimers, checkGameStatus, updateRepetitionMap, addIncrement } from "./classic/standard.js"
+
+// Chess960 (Fischer Random): the back rank is shuffled into one of 960 start positions,
+// mirrored for both sides. chess.js has no 960 support, so it is given positions with
+// castling rights stripped ("-") and castling is generated and applied here.
+// state.fen carries X-FEN castling rights (KQkq for the outermost rooks, the rook's
+// file letter otherwise) and state.castlingRooks the squares of the rooks that can still castle.
+
+export const CHESS960_POSITIONS = 960
+export const STANDARD_POSITION_ID = 518 // RNBQKBNR
+const CHESS960_BASE_TIME = 10 * 60 * 1000 // Default clock; a game's own is kept on its state
+
+const FILES = "abcdefgh"
+// Knight squares among the five still empty, indexed by what is left of the position number
+const KNIGHT_PLACEMENTS = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]]
+const CASTLING_TARGETS = {
+  kingside: { king: "g", rook: "f" },
+  queenside: { king: "c", rook: "d" },
+}
+
+const toColor = (turn) => (turn === "w" ? "white" : "black")
+const backRank = (color) => (color === "white" ? "1" : "8")
+
+/**
+ * Back rank for a Chess960 start position, numbered 0-959 as in Scharnagl's scheme
+ * (518 is the standard RNBQKBNR). The number is the seed, so the same number always
+ * gives the same position.
+ * @param {number} positionId
+ * @returns {string} Eight lowercase piece letters from the a-file to the h-file
+ */
+export function chess960BackRank(positionId) {
+  if (!Number.isInteger(positionId) || positionId < 0 || positionId >= CHESS960_POSITIONS) {
+    throw new Error(`Chess960 start position must be a whole number from 0 to ${CHESS960_POSITIONS - 1}`)
+  }
+
+  const rank = new Array(8).fill(null)
+  const emptyFiles = () => rank.flatMap((piece, file) => (piece ? [] : [file]))
+  let n = positionId
+
+  rank[(n % 4) * 2 + 1] = "b" // Light-squared bishop on b, d, f or h
+  n = Math.floor(n / 4)
+  rank[(n % 4) * 2] = "b" // Dark-squared bishop on a, c, e or g
+  n = Math.floor(n / 4)
+  rank[emptyFiles()[n % 6]] = "q"
+  n = Math.floor(n / 6)
+
+  const free = emptyFiles()
+  for (const index of KNIGHT_PLACEMENTS[n]) rank[free[index]] = "n"
+
+  // The king always ends up between the rooks
+  const [queensideRook, king, kingsideRook] = emptyFiles()
+  rank[queensideRook] = "r"
+  rank[king] = "k"
+  rank[kingsideRook] = "r"
+  return rank.join("")
+}
+
+// FEN with the castling field cleared, which chess.js accepts for any 960 position
+export function toStandardFen(fen) {
+  const fields = fen.split(" ")
+  fields[2] = "-"
+  return fields.join(" ")
+}
+
+// Repetitions are counted on the X-FEN without its move counters: the chess.js board has
+// no castling rights, so its FEN can't tell positions that differ only in them apart
+function chess960RepetitionKey(fen) {
+  return fen.split(" ").slice(0, 4).join(" ")
+}
+
+function findKing(game, color) {
+  return game.findPiece({ type: "k", color: color === "white" ? "w" : "b" })[0] || null
+}
+
+// Squares on a rank from one file to another, both ends included
+function rankSpan(fromFile, toFile, rank) {
+  const [low, high] = [Math.min(fromFile, toFile), Math.max(fromFile, toFile)]
+  const squares = []
+  for (let file = low; file <= high; file++) squares.push(`${FILES[file]}${rank}`)
+  return squares
+}
+
+// X-FEN castling field: K/Q/k/q when the castling rook is the outermost rook on its side, the file letter otherwise
+function castlingField(game, castlingRooks) {
+  let field = ""
+  for (const color of ["white", "black"]) {
+    for (const side of ["kingside", "queenside"]) {
+      const square = castlingRooks?.[color]?.[side]
+      if (!square) continue
+
+      const file = FILES.indexOf(square[0])
+      const outerFiles = side === "kingside" ? FILES.slice(file + 1) : FILES.slice(0, file)
+      const hasOuterRook = [...outerFiles].some((outer) => {
+        const piece = game.get(`${outer}${backRank(color)}`)
+        return piece && piece.type === "r" && toColor(piece.color) === color
+      })
+
+      const letter = hasOuterRook ? square[0] : side === "kingside" ? "k" : "q"
+      field += color === "white" ? letter.toUpperCase() : letter
+    }
+  }
+  return field || "-"
+}
+
+function composeFen(game, castlingRooks) {
+  const fields = game.fen().split(" ")
+  fields[2] = castlingField(game, castlingRooks)
+  return fields.join(" ")
+}
+
+/**
+ * Castling rooks left after a move: a king move gives up both sides, a rook moving
+ * off its square or being captured there gives up that side.
+ */
+export function nextCastlingRooks(castlingRooks, move) {
+  const next = {
+    white: { ...castlingRooks?.white },
+    black: { ...castlingRooks?.black },
+  }
+  const color = toColor(move.color)
+  const opponent = color === "white" ? "black" : "white"
+
+  for (const side of ["kingside", "queenside"]) {
+    if (move.piece === "k" || next[color][side] === move.from) next[color][side] = null
+    if (next[opponent][side] === move.to) next[opponent][side] = null
+  }
+  return next
+}
+
+// Position after castling: king and rook lifted off, then put on their target squares
+function applyCastling(game, color, kingSquare, rookSquare, kingTo, rookTo) {
+  const board = new Chess(game.fen())
+  const turn = color === "white" ? "w" : "b"
+  board.remove(kingSquare)
+  board.remove(rookSquare)
+  board.put({ type: "k", color: turn }, kingTo)
+  board.put({ type: "r", color: turn }, rookTo)
+
+  const [placement, , , , halfmove, fullmove] = board.fen().split(" ")
+  const nextFullmove = Number.parseInt(fullmove) + (turn === "b" ? 1 : 0)
+  return new Chess(`${placement} ${turn === "w" ? "b" : "w"} - - ${Number.parseInt(halfmove) + 1} ${nextFullmove}`)
+}
+
+/**
+ * Castling moves available to the side to move. The king and rook may start anywhere
+ * on the back rank but always finish on g/f (kingside) or c/d (queenside). Every square
+ * either piece passes over or lands on must be empty apart from the two of them, the
+ * king can't castle out of, through or into check, and the rook can't have been shielding the king.
+ * A castle is written king-takes-own-rook (`to` is the rook's square), which is never ambiguous.
+ * @returns {Array<{ move: Object, game: Chess }>} Verbose moves with the position after each
+ */
+function getCastlingMoves(state, game) {
+  const color = toColor(game.turn())
+  const opponent = game.turn() === "w" ? "b" : "w"
+  const rank = backRank(color)
+  const kingSquare = findKing(game, color)
+  if (!kingSquare || kingSquare[1] !== rank || game.inCheck()) return []
+
+  const castles = []
+  for (const side of ["kingside", "queenside"]) {
+    const rookSquare = state.castlingRooks?.[color]?.[side]
+    if (!rookSquare) continue
+    const rook = game.get(rookSquare)
+    if (!rook || rook.type !== "r" || toColor(rook.color) !== color) continue
+
+    const kingTo = `${CASTLING_TARGETS[side].king}${rank}`
+    const rookTo = `${CASTLING_TARGETS[side].rook}${rank}`
+    const kingPath = rankSpan(FILES.indexOf(kingSquare[0]), FILES.indexOf(kingTo[0]), rank)
+    const rookPath = rankSpan(FILES.indexOf(rookSquare[0]), FILES.indexOf(rookTo[0]), rank)
+
+    const blocked = [...kingPath, ...rookPath].some((square) => square !== kingSquare && square !== rookSquare && game.get(square))
+    if (blocked) continue
+    if (kingPath.some((square) => game.isAttacked(square, opponent))) continue
+
+    const after = applyCastling(game, color, kingSquare, rookSquare, kingTo, rookTo)
+    if (after.isAttacked(kingTo, opponent)) continue
+
+    const san = (side === "kingside" ? "O-O" : "O-O-O") + (after.isCheckmate() ? "#" : after.inCheck() ? "+" : "")
+    const move = {
+      color: game.turn(),
+      piece: "k",
+      from: kingSquare,
+      to: rookSquare,
+      san,
+      lan: `${kingSquare}${rookSquare}`,
+      flags: side === "kingside" ? "k" : "q",
+      castling: side,
+      kingTo,
+      rookFrom: rookSquare,
+      rookTo,
+      before: state.fen,
+      after: composeFen(after, nextCastlingRooks(state.castlingRooks, { color: game.turn(), piece: "k", from: kingSquare, to: rookSquare })),
+    }
+    castles.push({ move, game: after })
+  }
+  return castles
+}
+
+// Squares a castle can be requested with: the rook's square, and the king's target square as
+// well unless the king already stands there or could step there with an ordinary move
+function castlingTargets(castle, moves) {
+  const { from, kingTo, rookFrom } = castle.move
+  const kingStep = moves.some((move) => move.piece === "k" && move.from === from && move.to === kingTo)
+  return kingTo === from || kingTo === rookFrom || kingStep ? [rookFrom] : [rookFrom, kingTo]
+}
+
+// Match a requested move to a castle
+function findCastlingMove(state, game, move) {
+  const moves = game.moves({ verbose: true })
+  return getCastlingMoves(state, game).find(
+    (castle) => castle.move.from === move.from && castlingTargets(castle, moves).includes(move.to)
+  ) || null
+}
+
+// Create initial state for a 10-minute game from a numbered (or random) start position
+export function createChess960InitialState({ startPositionId } = {}) {
+  try {
+    const positionId = startPositionId ?? randomInt(CHESS960_POSITIONS)
+    const pieces = chess960BackRank(positionId)
+    const game = new Chess(`${pieces}/pppppppp/8/8/8/8/PPPPPPPP/${pieces.toUpperCase()} w - - 0 1`)
+
+    const castlingRooks = {}
+    for (const color of ["white", "black"]) {
+      castlingRooks[color] = {
+        kingside: `${FILES[pieces.lastIndexOf("r")]}${backRank(color)}`,
+        queenside: `${FILES[pieces.indexOf("r")]}${backRank(color)}`,
+      }
+    }
+
+    const fen = composeFen(game, castlingRooks)
+    const [position, activeColor, castlingRights, enPassantSquare, halfmoveClock, fullmoveNumber] = fen.split(" ")
+    const now = Date.now()
+
+    return {
+      fen,
+      position,
+      startPositionId: positionId,
+      castlingRooks,
+      activeColor: activeColor === "w" ? "white" : "black",
+      castlingRights,
+      enPassantSquare,
+      halfmoveClock: Number.parseInt(halfmoveClock),
+      fullmoveNumber: Number.parseInt(fullmoveNumber),
+      baseTime: CHESS960_BASE_TIME,
+      whiteTime: CHESS960_BASE_TIME,
+      blackTime: CHESS960_BASE_TIME,
+      increment: 0,
+      turnStartTimestamp: now,
+      lastMoveTimestamp: now,
+      moveHistory: [],
+      gameStarted: false,
+      firstMoveTimestamp: null,
+      capturedPieces: {
+        white: [],
+        black: [],
+      },
+      gameEnded: false,
+      endReason: null,
+      winner: null,
+      endTimestamp: null,
+    }
+  } catch (error) {
+    console.error("Error creating Chess960 initial state:", error)
+    throw error
+  }
+}
+
+// Flag a player and build the validator result for it
+function timeoutResult(state, loserColor, currentTimestamp, reason, code) {
+  const winnerColor = loserColor === "white" ? "black" : "white"
+  state.gameEnded = true
+  state.endReason = "timeout"
+  state.winnerColor = winnerColor
+  state.winner = null
+  state.endTimestamp = currentTimestamp
+  return {
+    valid: false,
+    reason,
+    result: "timeout",
+    winnerColor,
+    winner: null,
+    gameEnded: true,
+    endReason: "timeout",
+    shouldNavigateToMenu: true,
+    endTimestamp: currentTimestamp,
+    code,
+  }
+}
+
+// Classic status checks, except a side whose only legal moves are castles isn't stalemated
+function checkChess960Status(state, game) {
+  const status = checkGameStatus(state, game, chess960RepetitionKey(state.fen))
+  if (status.reason === "stalemate" && getCastlingMoves(state, game).length > 0) {
+    return { result: "ongoing", winnerColor: null }
+  }
+  return status
+}
+
+// Validate a move (castling included) and update timers
+export function validateAndApplyChess960Move(state, move, playerColor, currentTimestamp) {
+  try {
+    if (!state || typeof state !== "object") {
+      return { valid: false, reason: "Invalid game state", code: "INVALID_STATE" }
+    }
+
+    if (!move || typeof move !== "object" || !move.from || !move.to) {
+      return { valid: false, reason: "Invalid move format", code: "INVALID_MOVE" }
+    }
+
+    if (!playerColor || (playerColor !== "white" && playerColor !== "black")) {
+      return { valid: false, reason: "Invalid player color", code: "INVALID_PLAYER" }
+    }
+
+    if (!currentTimestamp || typeof currentTimestamp !== "number") {
+      currentTimestamp = Date.now()
+    }
+
+    if (state.gameEnded) {
+      return {
+        valid: false,
+        reason: "Game has already ended",
+        gameEnded: true,
+        shouldNavigateToMenu: true,
+        code: "GAME_ENDED",
+      }
+    }
+
+    if (!state.fen) {
+      return { valid: false, reason: "Invalid state: missing FEN", code: "MISSING_FEN" }
+    }
+    let game
+    try {
+      game = new Chess(toStandardFen(state.fen))
+    } catch (error) {
+      console.error("Error reconstructing Chess960 game from FEN:", error)
+      return { valid: false, reason: "Invalid game state", code: "INVALID_FEN" }
+    }
+
+    if (typeof state.turnStartTimestamp !== "number") state.turnStartTimestamp = currentTimestamp
+    if (typeof state.lastMoveTimestamp !== "number") state.lastMoveTimestamp = currentTimestamp
+    if (typeof state.whiteTime !== "number") state.whiteTime = state.baseTime ?? CHESS960_BASE_TIME
+    if (typeof state.blackTime !== "number") state.blackTime = state.baseTime ?? CHESS960_BASE_TIME
+    if (!state.moveHistory) state.moveHistory = []
+    if (!state.repetitionMap) state.repetitionMap = new Map()
+    if (typeof state.gameStarted !== "boolean") state.gameStarted = false
+    if (!state.capturedPieces) state.capturedPieces = { white: [], black: [] }
+    if (typeof state.gameEnded !== "boolean") state.gameEnded = false
+
+    if (state.whiteTime <= 0) return timeoutResult(state, "white", currentTimestamp, "White ran out of time", "WHITE_TIMEOUT")
+    if (state.blackTime <= 0) return timeoutResult(state, "black", currentTimestamp, "Black ran out of time", "BLACK_TIMEOUT")
+
+    const currentPlayerColor = toColor(game.turn())
+    if (currentPlayerColor !== playerColor) {
+      return { valid: false, reason: "Not your turn", code: "WRONG_TURN" }
+    }
+
+    // The first move starts the clocks without costing any time
+    if (!state.gameStarted || state.moveHistory.length === 0) {
+      state.gameStarted = true
+      state.firstMoveTimestamp = currentTimestamp
+      state.turnStartTimestamp = currentTimestamp
+      state.lastMoveTimestamp = currentTimestamp
+    } else {
+      const elapsed = currentTimestamp - state.turnStartTimestamp
+      const timeKey = currentPlayerColor === "white" ? "whiteTime" : "blackTime"
+      state[timeKey] = Math.max(0, state[timeKey] - elapsed)
+      if (state[timeKey] <= 0) {
+        const code = currentPlayerColor === "white" ? "WHITE_TIMEOUT_DURING_MOVE" : "BLACK_TIMEOUT_DURING_MOVE"
+        return timeoutResult(state, currentPlayerColor, currentTimestamp, "Time out", code)
+      }
+    }
+
+    let result
+    const castle = findCastlingMove(state, game, move)
+    if (castle) {
+      result = castle.move
+      game = castle.game
+    } else {
+      try {
+        result = game.move({ from: move.from, to: move.to, promotion: move.promotion })
+      } catch (error) {
+        return { valid: false, reason: "Invalid move", code: "CHESS_JS_ERROR", details: error.message }
+      }
+      if (!result) return { valid: false, reason: "Illegal move", code: "ILLEGAL_MOVE" }
+      result.before = state.fen
+    }
+
+    if (result.captured) {
+      state.capturedPieces[currentPlayerColor].push(result.captured)
+    }
+
+    state.castlingRooks = nextCastlingRooks(state.castlingRooks, result)
+    state.fen = composeFen(game, state.castlingRooks)
+    result.after = state.fen
+
+    const [position, activeColor, castlingRights, enPassantSquare, halfmoveClock, fullmoveNumber] = state.fen.split(" ")
+    state.position = position
+    state.activeColor = activeColor === "w" ? "white" : "black"
+    state.castlingRights = castlingRights
+    state.enPassantSquare = enPassantSquare
+    state.halfmoveClock = Number.parseInt(halfmoveClock)
+    state.fullmoveNumber = Number.parseInt(fullmoveNumber)
+    state.lastMoveTimestamp = currentTimestamp
+    state.turnStartTimestamp = currentTimestamp
+    addIncrement(state, currentPlayerColor)
+    state.moveHistory.push(result)
+
+    updateRepetitionMap(state, game, chess960RepetitionKey(state.fen))
+
+    const resultStatus = checkChess960Status(state, game)
+    if (resultStatus.result !== "ongoing") {
+      state.gameEnded = true
+      state.endReason = resultStatus.result
+      state.winnerColor = resultStatus.winnerColor || null
+      state.endTimestamp = currentTimestamp
+      resultStatus.shouldNavigateToMenu = true
+      resultStatus.endTimestamp = currentTimestamp
+      resultStatus.winnerColor = state.winnerColor
+    }
+
+    state.gameState = {
+      check: game.inCheck(),
+      checkmate: game.isCheckmate(),
+      stalemate: resultStatus.reason === "stalemate",
+      insufficientMaterial: game.isInsufficientMaterial(),
+      canCastleKingside: {
+        white: Boolean(state.castlingRooks.white.kingside),
+        black: Boolean(state.castlingRooks.black.kingside),
+      },
+      canCastleQueenside: {
+        white: Boolean(state.castlingRooks.white.queenside),
+        black: Boolean(state.castlingRooks.black.queenside),
+      },
+      promotionAvailable: Boolean(result.flags && result.flags.includes("p")),
+      lastMove: result,
+      result: resultStatus.result,
+      drawReason: resultStatus.reason || null,
+      gameEnded: state.gameEnded,
+      endReason: state.endReason,
+      endTimestamp: state.endTimestamp,
+    }
+
+    return {
+      valid: true,
+      move: result,
+      state,
+      gameEnded: state.gameEnded,
+      endReason: state.endReason,
+      endTimestamp: state.endTimestamp,
+      code: "SUCCESS",
+      winnerColor: state.winnerColor,
+      winner: state.winner,
+      ...resultStatus,
+    }
+  } catch (error) {
+    console.error("Error in validateAndApplyChess960Move:", error)
+    return {
+      valid: false,
+      reason: "Internal error during move validation",
+      error: error.message,
+      code: "INTERNAL_ERROR",
+      stack: error.stack,
+    }
+  }
+}
+
+// Legal moves for the side to move, castles included, with X-FEN before/after positions
+export function getChess960LegalMoves(state) {
+  try {
+    if (!state || !state.fen) return []
+
+    const game = new Chess(toStandardFen(state.fen))
+    const moves = game.moves({ verbose: true }).map((move) => {
+      const after = new Chess(move.after)
+      return {
+        ...move,
+        before: state.fen,
+        after: composeFen(after, nextCastlingRooks(state.castlingRooks, move)),
+      }
+    })
+    // A castle is listed once per square it can be requested with, so either one passes the legality check
+    const castles = getCastlingMoves(state, game).flatMap((castle) =>
+      castlingTargets(castle, moves).map((to) => ({ ...castle.move, to, lan: `${castle.move.from}${to}` }))
+    )
+    return [...moves, ...castles]
+  } catch (error) {
+    console.error("Error getting Chess960 legal moves:", error)
+    return []
+  }
+}
+
+registerVariant({
+  variant: "chess960",
+  description: "Chess960 (Fischer Random): one of 960 shuffled back ranks, shared by both sides, with 960 castling",
+  timeControl: { base: CHESS960_BASE_TIME, increment: 0 }, // 10+0
+  queueKey: "queue:chess960",
+  createInitialState: createChess960InitialState,
+  validateMove: validateAndApplyChess960Move,
+  getLegalMoves: (state) => getChess960LegalMoves(state),
+  getTimers: getCurrentTimers,
+  getVariantData: (state) => ({ startPositionId: state.startPositionId }),
+})
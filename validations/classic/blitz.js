@@ -1,4 +1,6 @@
 import { Chess } from "chess.js"
+import { registerVariant } from "../registry.js"
+import { loadStandardPosition } from "../position.js"
 
 // Helper: Validate ObjectId format
 export function isValidObjectId(id) {
@@ -120,6 +122,10 @@ export async function safeDatabaseOperation(operation, context = "unknown") {
   }
 }
 
+// Default clock: 3 minutes + 2 seconds. A game's own clock is kept on its state (baseTime, increment).
+const BLITZ_BASE_TIME = 3 * 60 * 1000
+const BLITZ_INCREMENT = 2 * 1000
+
 // Create initial state for a blitz game (3+2)
 export function createInitialState() {
   try {
@@ -128,8 +134,6 @@ export function createInitialState() {
     const [position, activeColor, castlingRights, enPassantSquare, halfmoveClock, fullmoveNumber] = fen.split(" ")
 
     const now = Date.now()
-    const blitzTime = 3 * 60 * 1000 // 3 minutes in milliseconds
-    const increment = 2 * 1000 // 2 seconds increment in milliseconds
 
     return {
       fen,
@@ -139,9 +143,10 @@ export function createInitialState() {
       enPassantSquare,
       halfmoveClock: Number.parseInt(halfmoveClock),
       fullmoveNumber: Number.parseInt(fullmoveNumber),
-      whiteTime: blitzTime,
-      blackTime: blitzTime,
-      increment: increment, // 2 second increment per move
+      baseTime: BLITZ_BASE_TIME,
+      whiteTime: BLITZ_BASE_TIME,
+      blackTime: BLITZ_BASE_TIME,
+      increment: BLITZ_INCREMENT, // 2 second increment per move
       timeControl: "blitz", // Identify game type
       turnStartTimestamp: now,
       lastMoveTimestamp: now,
@@ -217,9 +222,9 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
     // Initialize timer values and increment if missing
     if (typeof state.turnStartTimestamp !== "number") state.turnStartTimestamp = currentTimestamp
     if (typeof state.lastMoveTimestamp !== "number") state.lastMoveTimestamp = currentTimestamp
-    if (typeof state.whiteTime !== "number") state.whiteTime = 3 * 60 * 1000
-    if (typeof state.blackTime !== "number") state.blackTime = 3 * 60 * 1000
-    if (typeof state.increment !== "number") state.increment = 2 * 1000
+    if (typeof state.whiteTime !== "number") state.whiteTime = state.baseTime ?? BLITZ_BASE_TIME
+    if (typeof state.blackTime !== "number") state.blackTime = state.baseTime ?? BLITZ_BASE_TIME
+    if (typeof state.increment !== "number") state.increment = BLITZ_INCREMENT
     if (!state.moveHistory) state.moveHistory = []
     if (!state.repetitionMap) state.repetitionMap = new Map()
     if (typeof state.gameStarted !== "boolean") state.gameStarted = false
@@ -487,12 +492,12 @@ export function getCurrentTimers(state, currentTimestamp) {
     if (!state || typeof state !== "object") {
       console.error("[BLITZ TIMER] Invalid state provided to getCurrentTimers")
       return {
-        white: 3 * 60 * 1000,
-        black: 3 * 60 * 1000,
+        white: BLITZ_BASE_TIME,
+        black: BLITZ_BASE_TIME,
         activeColor: "white",
         gameEnded: false,
         timeControl: "blitz",
-        increment: 2 * 1000,
+        increment: BLITZ_INCREMENT,
         error: "Invalid state",
       }
     }
@@ -513,18 +518,18 @@ export function getCurrentTimers(state, currentTimestamp) {
         shouldNavigateToMenu: true,
         endTimestamp: state.endTimestamp,
         timeControl: "blitz",
-        increment: state.increment || 2 * 1000,
+        increment: state.increment ?? BLITZ_INCREMENT,
       }
     }
 
     if (!state.gameStarted || !state.turnStartTimestamp || state.moveHistory.length === 0) {
       return {
-        white: state.whiteTime || 3 * 60 * 1000,
-        black: state.blackTime || 3 * 60 * 1000,
+        white: state.whiteTime ?? state.baseTime ?? BLITZ_BASE_TIME,
+        black: state.blackTime ?? state.baseTime ?? BLITZ_BASE_TIME,
         activeColor: state.activeColor || "white",
         gameEnded: false,
         timeControl: "blitz",
-        increment: state.increment || 2 * 1000,
+        increment: state.increment ?? BLITZ_INCREMENT,
       }
     }
 
@@ -535,12 +540,12 @@ export function getCurrentTimers(state, currentTimestamp) {
     } catch (error) {
       console.error("[BLITZ TIMER] Error reconstructing game from FEN:", error)
       return {
-        white: state.whiteTime || 3 * 60 * 1000,
-        black: state.blackTime || 3 * 60 * 1000,
+        white: state.whiteTime ?? state.baseTime ?? BLITZ_BASE_TIME,
+        black: state.blackTime ?? state.baseTime ?? BLITZ_BASE_TIME,
         activeColor: state.activeColor || "white",
         gameEnded: false,
         timeControl: "blitz",
-        increment: state.increment || 2 * 1000,
+        increment: state.increment ?? BLITZ_INCREMENT,
         error: "Invalid FEN",
       }
     }
@@ -549,8 +554,8 @@ export function getCurrentTimers(state, currentTimestamp) {
     const currentPlayerColor = currentPlayer === "w" ? "white" : "black"
     const elapsed = currentTimestamp - state.turnStartTimestamp
 
-    let whiteTime = state.whiteTime || 3 * 60 * 1000
-    let blackTime = state.blackTime || 3 * 60 * 1000
+    let whiteTime = state.whiteTime ?? state.baseTime ?? BLITZ_BASE_TIME
+    let blackTime = state.blackTime ?? state.baseTime ?? BLITZ_BASE_TIME
 
     // Only deduct time from the current player
     if (currentPlayer === "w") {
@@ -577,7 +582,7 @@ export function getCurrentTimers(state, currentTimestamp) {
         shouldNavigateToMenu: true,
         endTimestamp: currentTimestamp,
         timeControl: "blitz",
-        increment: state.increment || 2 * 1000,
+        increment: state.increment ?? BLITZ_INCREMENT,
       }
     }
 
@@ -598,7 +603,7 @@ export function getCurrentTimers(state, currentTimestamp) {
         shouldNavigateToMenu: true,
         endTimestamp: currentTimestamp,
         timeControl: "blitz",
-        increment: state.increment || 2 * 1000,
+        increment: state.increment ?? BLITZ_INCREMENT,
       }
     }
 
@@ -608,17 +613,17 @@ export function getCurrentTimers(state, currentTimestamp) {
       activeColor: currentPlayerColor,
       gameEnded: false,
       timeControl: "blitz",
-      increment: state.increment || 2 * 1000,
+      increment: state.increment ?? BLITZ_INCREMENT,
     }
   } catch (error) {
     console.error("Error in blitz getCurrentTimers:", error)
     return {
-      white: state?.whiteTime || 3 * 60 * 1000,
-      black: state?.blackTime || 3 * 60 * 1000,
+      white: state?.whiteTime ?? state?.baseTime ?? BLITZ_BASE_TIME,
+      black: state?.blackTime ?? state?.baseTime ?? BLITZ_BASE_TIME,
       activeColor: state?.activeColor || "white",
       gameEnded: false,
       timeControl: "blitz",
-      increment: state?.increment || 2 * 1000,
+      increment: state?.increment ?? BLITZ_INCREMENT,
       error: error.message,
     }
   }
@@ -731,4 +736,17 @@ export function updateRepetitionMap(state, gameInstance) {
   } catch (error) {
     console.error("Error updating blitz repetition map:", error)
   }
-}
\ No newline at end of file
+}
+
+registerVariant({
+  variant: "classic",
+  subvariant: "blitz",
+  description: "Fast-paced chess with 3 minutes base + 2 second increment",
+  timeControl: { base: 3 * 60 * 1000, increment: 2000 }, // 3+2
+  queueKey: "queue:classic:blitz",
+  createInitialState,
+  validateMove: validateAndApplyMove,
+  getLegalMoves: (state) => getLegalMoves(state.fen),
+  getTimers: getCurrentTimers,
+  loadPosition: loadStandardPosition,
+})
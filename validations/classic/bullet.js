@@ -1,4 +1,6 @@
 import { Chess } from "chess.js"
+import { registerVariant } from "../registry.js"
+import { loadStandardPosition } from "../position.js"
 
 // Helper: Validate ObjectId format
 export function isValidObjectId(id) {
@@ -120,6 +122,10 @@ export async function safeDatabaseOperation(operation, context = "unknown") {
   }
 }
 
+// Default clock: 1 minute, no increment. A game's own clock is kept on its state (baseTime, increment).
+const BULLET_BASE_TIME = 1 * 60 * 1000
+const BULLET_INCREMENT = 0
+
 // Create initial state for a bullet game (1+0)
 export function createInitialState() {
   try {
@@ -128,8 +134,6 @@ export function createInitialState() {
     const [position, activeColor, castlingRights, enPassantSquare, halfmoveClock, fullmoveNumber] = fen.split(" ")
 
     const now = Date.now()
-    const bulletTime = 1 * 60 * 1000 // 1 minute in milliseconds
-    const increment = 0 // No increment for bullet
 
     return {
       fen,
@@ -139,9 +143,10 @@ export function createInitialState() {
       enPassantSquare,
       halfmoveClock: Number.parseInt(halfmoveClock),
       fullmoveNumber: Number.parseInt(fullmoveNumber),
-      whiteTime: bulletTime,
-      blackTime: bulletTime,
-      increment: increment, // 0 second increment
+      baseTime: BULLET_BASE_TIME,
+      whiteTime: BULLET_BASE_TIME,
+      blackTime: BULLET_BASE_TIME,
+      increment: BULLET_INCREMENT, // No increment unless the game was created with one
       timeControl: "bullet", // Identify game type
       turnStartTimestamp: now,
       lastMoveTimestamp: now,
@@ -163,14 +168,14 @@ export function createInitialState() {
   }
 }
 
-// Validate a move and update timers (no increment for bullet)
+// Validate a move and update timers (no increment unless the game was created with one)
 export function validateAndApplyMove(state, move, playerColor, currentTimestamp) {
   try {
     console.log("=== BULLET MOVE VALIDATION START ===")
     console.log("Move:", move, "Player:", playerColor)
     console.log("Game started:", state.gameStarted, "First move timestamp:", state.firstMoveTimestamp)
     console.log("Current state - White time:", state.whiteTime, "Black time:", state.blackTime)
-    console.log("Increment:", state.increment, "ms (NO INCREMENT)")
+    console.log("Increment:", state.increment, "ms")
 
     // Validate input parameters
     if (!state || typeof state !== "object") {
@@ -214,12 +219,12 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
       return { valid: false, reason: "Invalid state: missing FEN", code: "MISSING_FEN" }
     }
 
-    // Initialize timer values (no increment for bullet)
+    // Initialize timer values and increment if missing
     if (typeof state.turnStartTimestamp !== "number") state.turnStartTimestamp = currentTimestamp
     if (typeof state.lastMoveTimestamp !== "number") state.lastMoveTimestamp = currentTimestamp
-    if (typeof state.whiteTime !== "number") state.whiteTime = 1 * 60 * 1000
-    if (typeof state.blackTime !== "number") state.blackTime = 1 * 60 * 1000
-    if (typeof state.increment !== "number") state.increment = 0
+    if (typeof state.whiteTime !== "number") state.whiteTime = state.baseTime ?? BULLET_BASE_TIME
+    if (typeof state.blackTime !== "number") state.blackTime = state.baseTime ?? BULLET_BASE_TIME
+    if (typeof state.increment !== "number") state.increment = BULLET_INCREMENT
     if (!state.moveHistory) state.moveHistory = []
     if (!state.repetitionMap) state.repetitionMap = new Map()
     if (typeof state.gameStarted !== "boolean") state.gameStarted = false
@@ -365,8 +370,14 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
     console.log("Move result:", result)
     if (!result) return { valid: false, reason: "Illegal move", code: "ILLEGAL_MOVE" }
 
-    // BULLET SPECIFIC: NO INCREMENT - Time only decreases, never increases
-    console.log("BULLET: No increment added - time only decreases")
+    // Bullet is played without increment by default; add it if this game has one (not on the first move)
+    if (state.increment && state.moveHistory.length > 0) {
+      if (currentPlayerBeforeMove === "w") {
+        state.whiteTime += state.increment
+      } else {
+        state.blackTime += state.increment
+      }
+    }
 
     // Track captured pieces
     if (capturedPiece) {
@@ -390,7 +401,7 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
     console.log("- FEN changed from:", oldFen.split(" ")[0], "to:", state.fen.split(" ")[0])
     console.log("- Next player's turn:", newActivePlayer, "Active color:", state.activeColor)
     console.log("- Turn start timestamp reset to:", state.turnStartTimestamp)
-    console.log("- Final times (NO INCREMENT) - White:", state.whiteTime, "Black:", state.blackTime)
+    console.log("- Final times after increment - White:", state.whiteTime, "Black:", state.blackTime)
     console.log("- Move count:", state.moveHistory.length)
 
     // Update repetition tracking
@@ -479,12 +490,12 @@ export function getCurrentTimers(state, currentTimestamp) {
     if (!state || typeof state !== "object") {
       console.error("[BULLET TIMER] Invalid state provided to getCurrentTimers")
       return {
-        white: 1 * 60 * 1000,
-        black: 1 * 60 * 1000,
+        white: BULLET_BASE_TIME,
+        black: BULLET_BASE_TIME,
         activeColor: "white",
         gameEnded: false,
         timeControl: "bullet",
-        increment: 0,
+        increment: BULLET_INCREMENT,
         error: "Invalid state",
       }
     }
@@ -505,18 +516,18 @@ export function getCurrentTimers(state, currentTimestamp) {
         shouldNavigateToMenu: true,
         endTimestamp: state.endTimestamp,
         timeControl: "bullet",
-        increment: state.increment || 0,
+        increment: state.increment ?? BULLET_INCREMENT,
       }
     }
 
     if (!state.gameStarted || !state.turnStartTimestamp || state.moveHistory.length === 0) {
       return {
-        white: state.whiteTime || 1 * 60 * 1000,
-        black: state.blackTime || 1 * 60 * 1000,
+        white: state.whiteTime ?? state.baseTime ?? BULLET_BASE_TIME,
+        black: state.blackTime ?? state.baseTime ?? BULLET_BASE_TIME,
         activeColor: state.activeColor || "white",
         gameEnded: false,
         timeControl: "bullet",
-        increment: state.increment || 0,
+        increment: state.increment ?? BULLET_INCREMENT,
       }
     }
 
@@ -527,12 +538,12 @@ export function getCurrentTimers(state, currentTimestamp) {
     } catch (error) {
       console.error("[BULLET TIMER] Error reconstructing game from FEN:", error)
       return {
-        white: state.whiteTime || 1 * 60 * 1000,
-        black: state.blackTime || 1 * 60 * 1000,
+        white: state.whiteTime ?? state.baseTime ?? BULLET_BASE_TIME,
+        black: state.blackTime ?? state.baseTime ?? BULLET_BASE_TIME,
         activeColor: state.activeColor || "white",
         gameEnded: false,
         timeControl: "bullet",
-        increment: state.increment || 0,
+        increment: state.increment ?? BULLET_INCREMENT,
         error: "Invalid FEN",
       }
     }
@@ -541,8 +552,8 @@ export function getCurrentTimers(state, currentTimestamp) {
     const currentPlayerColor = currentPlayer === "w" ? "white" : "black"
     const elapsed = currentTimestamp - state.turnStartTimestamp
 
-    let whiteTime = state.whiteTime || 1 * 60 * 1000
-    let blackTime = state.blackTime || 1 * 60 * 1000
+    let whiteTime = state.whiteTime ?? state.baseTime ?? BULLET_BASE_TIME
+    let blackTime = state.blackTime ?? state.baseTime ?? BULLET_BASE_TIME
 
     // Only deduct time from the current player
     if (currentPlayer === "w") {
@@ -569,7 +580,7 @@ export function getCurrentTimers(state, currentTimestamp) {
         shouldNavigateToMenu: true,
         endTimestamp: currentTimestamp,
         timeControl: "bullet",
-        increment: state.increment || 0,
+        increment: state.increment ?? BULLET_INCREMENT,
       }
     }
 
@@ -590,7 +601,7 @@ export function getCurrentTimers(state, currentTimestamp) {
         shouldNavigateToMenu: true,
         endTimestamp: currentTimestamp,
         timeControl: "bullet",
-        increment: state.increment || 0,
+        increment: state.increment ?? BULLET_INCREMENT,
       }
     }
 
@@ -600,17 +611,17 @@ export function getCurrentTimers(state, currentTimestamp) {
       activeColor: currentPlayerColor,
       gameEnded: false,
       timeControl: "bullet",
-      increment: state.increment || 0,
+      increment: state.increment ?? BULLET_INCREMENT,
     }
   } catch (error) {
     console.error("Error in bullet getCurrentTimers:", error)
     return {
-      white: state?.whiteTime || 1 * 60 * 1000,
-      black: state?.blackTime || 1 * 60 * 1000,
+      white: state?.whiteTime ?? state?.baseTime ?? BULLET_BASE_TIME,
+      black: state?.blackTime ?? state?.baseTime ?? BULLET_BASE_TIME,
       activeColor: state?.activeColor || "white",
       gameEnded: false,
       timeControl: "bullet",
-      increment: state?.increment || 0,
+      increment: state?.increment ?? BULLET_INCREMENT,
       error: error.message,
     }
   }
@@ -723,4 +734,17 @@ export function updateRepetitionMap(state, gameInstance) {
   } catch (error) {
     console.error("Error updating bullet repetition map:", error)
   }
-}
\ No newline at end of file
+}
+
+registerVariant({
+  variant: "classic",
+  subvariant: "bullet",
+  description: "Ultra-fast chess with 1 minute base, no increment",
+  timeControl: { base: 60 * 1000, increment: 0 }, // 1+0
+  queueKey: "queue:classic:bullet",
+  createInitialState,
+  validateMove: validateAndApplyMove,
+  getLegalMoves: (state) => getLegalMoves(state.fen),
+  getTimers: getCurrentTimers,
+  loadPosition: loadStandardPosition,
+})
@@ -1,4 +1,6 @@
 import { Chess } from "chess.js"
+import { registerVariant } from "../registry.js"
+import { loadStandardPosition } from "../position.js"
 
 // Helper: Recursively convert BigInt values to Number for JSON serialization
 export function convertBigIntToNumber(obj) {
@@ -138,6 +140,33 @@ export async function safeDatabaseOperation(operation, context = "unknown") {
   }
 }
 
+// Default clock: 10 minutes, no increment. A game's own clock is kept on its state
+// (baseTime, increment), so the validators below only fall back to this.
+const BASE_TIME = 10 * 60 * 1000
+
+/**
+ * Set a board's clock to a time control: both sides start with `base` and get `increment`
+ * added after each of their moves (ms). The validators read the clock back from the state.
+ * @param {Object} state - Board state from a variant's createInitialState
+ * @param {{ base: number, increment: number }} timeControl
+ * @returns {Object} The same state
+ */
+export function applyTimeControl(state, { base, increment }) {
+  state.baseTime = base
+  state.increment = increment
+  state.whiteTime = base
+  state.blackTime = base
+  return state
+}
+
+// Add the game's increment, if it has one, to the clock of the player who just moved.
+// Call before the move is pushed to moveHistory: the first move starts the clocks and earns none.
+export function addIncrement(state, color) {
+  if (state.increment && state.moveHistory.length > 0) {
+    state[`${color}Time`] += state.increment
+  }
+}
+
 // Create initial state for a 10-minute game
 export function createInitialState() {
   try {
@@ -155,8 +184,10 @@ export function createInitialState() {
       enPassantSquare,
       halfmoveClock: Number.parseInt(halfmoveClock),
       fullmoveNumber: Number.parseInt(fullmoveNumber),
-      whiteTime: 600000, // 10 minutes in ms
-      blackTime: 600000,
+      baseTime: BASE_TIME,
+      whiteTime: BASE_TIME,
+      blackTime: BASE_TIME,
+      increment: 0,
       turnStartTimestamp: now,
       lastMoveTimestamp: now,
       moveHistory: [],
@@ -231,8 +262,8 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
     // Initialize timer values if missing
     if (typeof state.turnStartTimestamp !== "number") state.turnStartTimestamp = currentTimestamp
     if (typeof state.lastMoveTimestamp !== "number") state.lastMoveTimestamp = currentTimestamp
-    if (typeof state.whiteTime !== "number") state.whiteTime = 600000
-    if (typeof state.blackTime !== "number") state.blackTime = 600000
+    if (typeof state.whiteTime !== "number") state.whiteTime = state.baseTime ?? BASE_TIME
+    if (typeof state.blackTime !== "number") state.blackTime = state.baseTime ?? BASE_TIME
     if (!state.moveHistory) state.moveHistory = []
     if (!state.repetitionMap) state.repetitionMap = new Map()
     if (typeof state.gameStarted !== "boolean") state.gameStarted = false
@@ -393,6 +424,8 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
     state.fen = game.fen()
     state.lastMoveTimestamp = currentTimestamp
 
+    addIncrement(state, currentPlayerColor)
+
     // CRITICAL: Reset turn start timestamp for the NEXT player's turn
     state.turnStartTimestamp = currentTimestamp
     state.moveHistory.push(result)
@@ -498,8 +531,8 @@ export function getCurrentTimers(state, currentTimestamp) {
     if (!state || typeof state !== "object") {
       console.error("[TIMER] Invalid state provided to getCurrentTimers")
       return {
-        white: 600000,
-        black: 600000,
+        white: BASE_TIME,
+        black: BASE_TIME,
         activeColor: "white",
         gameEnded: false,
         error: "Invalid state",
@@ -526,34 +559,33 @@ export function getCurrentTimers(state, currentTimestamp) {
 
     if (!state.gameStarted || !state.turnStartTimestamp || state.moveHistory.length === 0) {
       return {
-        white: state.whiteTime || 600000,
-        black: state.blackTime || 600000,
+        white: state.whiteTime ?? state.baseTime ?? BASE_TIME,
+        black: state.blackTime ?? state.baseTime ?? BASE_TIME,
         activeColor: state.activeColor || "white",
         gameEnded: false,
       }
     }
 
-    // Reconstruct game to check whose turn it is
-    let game
-    try {
-      game = new Chess(state.fen)
-    } catch (error) {
-      console.error("[TIMER] Error reconstructing game from FEN:", error)
+    // Whose turn it is comes from the FEN's side-to-move field, so variants whose FENs
+    // chess.js can't load (chess960, three-check, atomic...) can share these timers
+    const sideToMove = typeof state.fen === "string" ? state.fen.split(" ")[1] : null
+    if (sideToMove !== "w" && sideToMove !== "b") {
+      console.error("[TIMER] Invalid FEN in game state:", state.fen)
       return {
-        white: state.whiteTime || 600000,
-        black: state.blackTime || 600000,
+        white: state.whiteTime ?? state.baseTime ?? BASE_TIME,
+        black: state.blackTime ?? state.baseTime ?? BASE_TIME,
         activeColor: state.activeColor || "white",
         gameEnded: false,
         error: "Invalid FEN",
       }
     }
 
-    const currentPlayer = game.turn() // 'w' or 'b'
+    const currentPlayer = sideToMove // 'w' or 'b'
     const currentPlayerColor = currentPlayer === "w" ? "white" : "black"
     const elapsed = currentTimestamp - state.turnStartTimestamp
 
-    let whiteTime = state.whiteTime || 600000
-    let blackTime = state.blackTime || 600000
+    let whiteTime = state.whiteTime ?? state.baseTime ?? BASE_TIME
+    let blackTime = state.blackTime ?? state.baseTime ?? BASE_TIME
 
     // Only deduct time from the current player (whose turn it is right now)
     if (currentPlayer === "w") {
@@ -610,8 +642,8 @@ export function getCurrentTimers(state, currentTimestamp) {
   } catch (error) {
     console.error("Error in getCurrentTimers:", error)
     return {
-      white: state?.whiteTime || 600000,
-      black: state?.blackTime || 600000,
+      white: state?.whiteTime ?? state?.baseTime ?? BASE_TIME,
+      black: state?.blackTime ?? state?.baseTime ?? BASE_TIME,
       activeColor: state?.activeColor || "white",
       gameEnded: false,
       error: error.message,
@@ -635,8 +667,9 @@ export function getLegalMoves(fen) {
   }
 }
 
-// Draw detection & game status
-export function checkGameStatus(state, gameInstance) {
+// Draw detection & game status. Variants whose FEN carries more than chess.js sees
+// pass the repetitionKey they count positions under (see updateRepetitionMap)
+export function checkGameStatus(state, gameInstance, repetitionKey) {
   try {
     // Validate input
     if (!state || typeof state !== "object") {
@@ -680,7 +713,7 @@ export function checkGameStatus(state, gameInstance) {
     if (!(state.repetitionMap instanceof Map)) {
       state.repetitionMap = new Map(Object.entries(state.repetitionMap || {}))
     }
-    const repetitionCount = state.repetitionMap.get(game.fen()) || 0
+    const repetitionCount = state.repetitionMap.get(repetitionKey || game.fen()) || 0
     if (repetitionCount >= 5) return { result: "draw", reason: "fivefold repetition", winnerColor: null }
     if (state.moveHistory && state.moveHistory.length >= 150) return { result: "draw", reason: "75-move rule", winnerColor: null }
 
@@ -691,8 +724,33 @@ export function checkGameStatus(state, gameInstance) {
   }
 }
 
-// Helper: track FEN repetitions for 5-fold and 75-move rule
-export function updateRepetitionMap(state, gameInstance) {
+// Bring the state and a successful validator result in line with a variant's own status
+// check (three-check, king of the hill) when it overrides what checkGameStatus decided
+export function applyGameStatus(state, result, status, currentTimestamp) {
+  if (status.result === "ongoing") {
+    state.gameEnded = false
+    state.endReason = null
+    state.winnerColor = null
+    state.endTimestamp = null
+    Object.assign(result, { result: "ongoing", reason: undefined, winnerColor: null, gameEnded: false, endReason: null, endTimestamp: null })
+    delete result.shouldNavigateToMenu
+  } else {
+    state.gameEnded = true
+    state.endReason = status.result
+    state.winnerColor = status.winnerColor || null
+    state.endTimestamp = currentTimestamp
+    Object.assign(result, status, {
+      gameEnded: true,
+      endReason: status.result,
+      winnerColor: state.winnerColor,
+      endTimestamp: currentTimestamp,
+      shouldNavigateToMenu: true,
+    })
+  }
+}
+
+// Helper: track FEN repetitions for 5-fold and 75-move rule, under repetitionKey if given
+export function updateRepetitionMap(state, gameInstance, repetitionKey) {
   try {
     // Validate input
     if (!state || typeof state !== "object") {
@@ -702,7 +760,9 @@ export function updateRepetitionMap(state, gameInstance) {
 
     // Defensive: reconstruct repetitionMap if missing
     let fen
-    if (gameInstance) {
+    if (repetitionKey) {
+      fen = repetitionKey
+    } else if (gameInstance) {
       fen = gameInstance.fen()
     } else if (state.fen) {
       fen = state.fen
@@ -727,3 +787,16 @@ export function updateRepetitionMap(state, gameInstance) {
     console.error("Error updating repetition :", error)
   }
 }
+
+registerVariant({
+  variant: "classic",
+  subvariant: "standard",
+  description: "Standard FIDE chess rules with classical time control",
+  timeControl: { base: 10 * 60 * 1000, increment: 0 }, // 10+0
+  queueKey: "queue:classic:standard",
+  createInitialState,
+  validateMove: validateAndApplyMove,
+  getLegalMoves: (state) => getLegalMoves(state.fen),
+  getTimers: getCurrentTimers,
+  loadPosition: loadStandardPosition,
+})
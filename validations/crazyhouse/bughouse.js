@@ -0,0 +1,75 @@
+import { registerVariant } from "../registry.js";
+import { applyGameStatus, applyTimeControl } from "../classic/standard.js";
+import {
+  createCrazyhouseStandardInitialState,
+  validateAndApplyCrazyhouseStandardMove,
+  getCrazyhouseStandardLegalMoves,
+  getCurrentCrazyhouseStandardTimers,
+} from "./crazyhouseStandard.js";
+
+// Bughouse: two teams of two play crazyhouse on two linked boards. Partners play opposite
+// colours, and a piece captured on one board is not dropped by its captor but handed to
+// the partner, who can drop it on the other board. This module only covers one board;
+// linking the two sessions is done by controllers/bughouse.controller.js.
+
+const BASE_TIME_BUGHOUSE = 180000; // 3 minutes in ms, no increment
+
+// Create initial state for one bughouse board (3+0, empty pockets)
+export function createBughouseInitialState() {
+  return applyTimeControl(createCrazyhouseStandardInitialState(), { base: BASE_TIME_BUGHOUSE, increment: 0 });
+}
+
+// Colour the partner of `color` plays on the linked board
+export function partnerColor(color) {
+  return color === "white" ? "black" : "white";
+}
+
+/**
+ * Validate a move or drop with the crazyhouse rules, then take any captured piece back out
+ * of the captor's pocket: it belongs to the partner on the linked board.
+ * @returns {Object} Crazyhouse validator result, plus `transfer: { piece, color }` for a capture,
+ *   naming the piece and the pocket on the linked board it goes to
+ */
+export function validateAndApplyBughouseMove(state, move, playerColor, currentTimestamp) {
+  if (!currentTimestamp || typeof currentTimestamp !== "number") {
+    currentTimestamp = Date.now();
+  }
+
+  const result = validateAndApplyCrazyhouseStandardMove(state, move, playerColor, currentTimestamp);
+  if (!result.valid) return result;
+
+  // Pieces keep arriving from the other board, so material is never insufficient
+  if (result.reason === "insufficient material") {
+    applyGameStatus(state, result, { result: "ongoing", winnerColor: null }, currentTimestamp);
+    state.gameState = { ...state.gameState, result: "ongoing", drawReason: null, gameEnded: false, endReason: null, endTimestamp: null };
+  }
+
+  const captured = result.move?.captured;
+  if (captured) {
+    const pocket = state.pocketedPieces[playerColor];
+    const index = pocket.lastIndexOf(captured);
+    if (index !== -1) pocket.splice(index, 1);
+    result.transfer = { piece: captured, color: partnerColor(playerColor) };
+  }
+  return result;
+}
+
+registerVariant({
+    variant: "bughouse",
+    description: "Bughouse: 2v2 crazyhouse on two boards, captured pieces go to your partner",
+    timeControl: { type: "bughouse", base: BASE_TIME_BUGHOUSE, increment: 0 }, // 3+0
+    queueKey: "queue:bughouse",
+    playersPerGame: 4,
+    correspondence: false,
+    createInitialState: createBughouseInitialState,
+    validateMove: validateAndApplyBughouseMove,
+    getLegalMoves: (state, color) => getCrazyhouseStandardLegalMoves(state.fen, state.pocketedPieces, color),
+    getTimers: getCurrentCrazyhouseStandardTimers,
+    deserialize: (state) => {
+        if (!state.pocketedPieces) {
+            state.pocketedPieces = { white: [], black: [] };
+        }
+        return state;
+    },
+    getVariantData: (state) => ({ pocketedPieces: state.pocketedPieces }),
+});
@@ -1,4 +1,6 @@
 import { Chess } from "chess.js";
+import { registerVariant } from "../registry.js";
+import { applyFenToBoard } from "../position.js";
 
 // Helper: Validate ObjectId format (Keep existing)
 export function isValidObjectId(id) {
@@ -147,6 +149,7 @@ export function createCrazyhouseStandardInitialState() {
       enPassantSquare,
       halfmoveClock: Number.parseInt(halfmoveClock),
       fullmoveNumber: Number.parseInt(fullmoveNumber),
+      baseTime: BASE_TIME_STANDARD,
       whiteTime: BASE_TIME_STANDARD,
       blackTime: BASE_TIME_STANDARD,
       increment: INCREMENT_TIME_STANDARD,
@@ -384,8 +387,8 @@ function validateInputsStandard(state, move, playerColor) {
 function initializeStateDefaultsStandard(state, currentTimestamp) {
   if (typeof state.turnStartTimestamp !== "number") state.turnStartTimestamp = currentTimestamp;
   if (typeof state.lastMoveTimestamp !== "number") state.lastMoveTimestamp = currentTimestamp;
-  if (typeof state.whiteTime !== "number") state.whiteTime = BASE_TIME_STANDARD;
-  if (typeof state.blackTime !== "number") state.blackTime = BASE_TIME_STANDARD;
+  if (typeof state.whiteTime !== "number") state.whiteTime = state.baseTime ?? BASE_TIME_STANDARD;
+  if (typeof state.blackTime !== "number") state.blackTime = state.baseTime ?? BASE_TIME_STANDARD;
   if (!state.moveHistory) state.moveHistory = [];
   if (typeof state.gameStarted !== "boolean") state.gameStarted = false;
   if (!state.firstMoveTimestamp) state.firstMoveTimestamp = null;
@@ -572,8 +575,8 @@ export function getCurrentCrazyhouseStandardTimers(state, currentTimestamp) {
 
     if (!state.gameStarted || !state.turnStartTimestamp || state.moveHistory.length === 0) {
       return {
-        white: state.whiteTime || BASE_TIME_STANDARD,
-        black: state.blackTime || BASE_TIME_STANDARD,
+        white: state.whiteTime ?? state.baseTime ?? BASE_TIME_STANDARD,
+        black: state.blackTime ?? state.baseTime ?? BASE_TIME_STANDARD,
         activeColor: state.activeColor || "white",
         gameEnded: false,
         pocketedPieces: state.pocketedPieces,
@@ -634,8 +637,8 @@ export function getCurrentCrazyhouseStandardTimers(state, currentTimestamp) {
   } catch (error) {
     console.error("Error in getCurrentCrazyhouseStandardTimers:", error);
     return {
-      white: state?.whiteTime || BASE_TIME_STANDARD,
-      black: state?.blackTime || BASE_TIME_STANDARD,
+      white: state?.whiteTime ?? state?.baseTime ?? BASE_TIME_STANDARD,
+      black: state?.blackTime ?? state?.baseTime ?? BASE_TIME_STANDARD,
       activeColor: state?.activeColor || "white",
       gameEnded: false,
       error: error.message,
@@ -823,4 +826,28 @@ function getCrazyhouseFenForRepetition(fen, pocketedPieces) {
     const blackPocket = pocketedPieces.black.slice().sort().join('');
     crazyhouseFen += `[${whitePocket}][${blackPocket}]`;
     return crazyhouseFen;
-}
\ No newline at end of file
+}
+
+registerVariant({
+    variant: "crazyhouse",
+    subvariant: "standard",
+    description: "Crazyhouse chess with 3 minutes base + 2 second increment",
+    timeControl: { type: "crazyhouse standard", base: BASE_TIME_STANDARD, increment: INCREMENT_TIME_STANDARD }, // 3+2
+    queueKey: "queue:crazyhouse:standard",
+    createInitialState: createCrazyhouseStandardInitialState,
+    validateMove: validateAndApplyCrazyhouseStandardMove,
+    getLegalMoves: (state, color) => getCrazyhouseStandardLegalMoves(state.fen, state.pocketedPieces, color),
+    getTimers: getCurrentCrazyhouseStandardTimers,
+    deserialize: (state) => {
+        if (!state.pocketedPieces) {
+            state.pocketedPieces = { white: [], black: [] };
+        }
+        return state;
+    },
+    getVariantData: (state) => ({ pocketedPieces: state.pocketedPieces }),
+    loadPosition: (state, { fen, pockets }) => {
+        applyFenToBoard(state, fen);
+        state.pocketedPieces = pockets || { white: [], black: [] };
+        return state;
+    },
+});
@@ -1,4 +1,6 @@
 import { Chess } from "chess.js"
+import { registerVariant } from "../registry.js"
+import { applyFenToBoard } from "../position.js"
 
 // Helper: Validate ObjectId format (Keep existing)
 export function isValidObjectId(id) {
@@ -130,6 +132,7 @@ export function createCrazyhouseInitialState() {
       enPassantSquare,
       halfmoveClock: Number.parseInt(halfmoveClock),
       fullmoveNumber: Number.parseInt(fullmoveNumber),
+      baseTime: BASE_TIME,
       whiteTime: BASE_TIME,
       blackTime: BASE_TIME,
       increment: INCREMENT_TIME,
@@ -210,10 +213,10 @@ function updateCrazyhouseTimers(state, currentTimestamp) {
 }
 
 // Handle piece drop logic - enhanced with better validation
-function handlePieceDrop(state, move, playerColor, game) {
+function handlePieceDrop(state, move, playerColor, game, currentTimestamp = Date.now()) {
   const playerPocket = state.pocketedPieces[playerColor]
   const playerDropTimers = state.dropTimers[playerColor]
-  const now = Date.now()
+  const now = currentTimestamp
 
   console.log(`Handling piece drop for ${playerColor}:`, {
     pocket: playerPocket,
@@ -391,7 +394,7 @@ export function validateAndApplyCrazyhouseMove(state, move, playerColor, current
 
     if (move.drop === true) {
       isDrop = true
-      moveResult = handlePieceDrop(state, move, playerColor, game)
+      moveResult = handlePieceDrop(state, move, playerColor, game, currentTimestamp)
     } else {
       // Standard chess move
       moveResult = validateChessMove(state, move, playerColor, currentTimestamp)
@@ -473,8 +476,8 @@ function validateInputs(state, move, playerColor) {
 function initializeStateDefaults(state, currentTimestamp) {
   if (typeof state.turnStartTimestamp !== "number") state.turnStartTimestamp = currentTimestamp
   if (typeof state.lastMoveTimestamp !== "number") state.lastMoveTimestamp = currentTimestamp
-  if (typeof state.whiteTime !== "number") state.whiteTime = BASE_TIME
-  if (typeof state.blackTime !== "number") state.blackTime = BASE_TIME
+  if (typeof state.whiteTime !== "number") state.whiteTime = state.baseTime ?? BASE_TIME
+  if (typeof state.blackTime !== "number") state.blackTime = state.baseTime ?? BASE_TIME
   if (!state.moveHistory) state.moveHistory = []
   if (typeof state.gameStarted !== "boolean") state.gameStarted = false
   if (!state.firstMoveTimestamp) state.firstMoveTimestamp = null
@@ -745,8 +748,8 @@ export function getCurrentCrazyhouseTimers(state, currentTimestamp) {
     // For first move, don't deduct time
     if (!state.gameStarted || !state.turnStartTimestamp || state.moveHistory.length === 0) {
       return {
-        white: state.whiteTime || BASE_TIME,
-        black: state.blackTime || BASE_TIME,
+        white: state.whiteTime ?? state.baseTime ?? BASE_TIME,
+        black: state.blackTime ?? state.baseTime ?? BASE_TIME,
         activeColor: state.activeColor || "white",
         gameEnded: false,
         pocketedPieces: state.pocketedPieces,
@@ -835,8 +838,8 @@ export function getCurrentCrazyhouseTimers(state, currentTimestamp) {
   } catch (error) {
     console.error("Error in getCurrentCrazyhouseTimers:", error)
     return {
-      white: state?.whiteTime || BASE_TIME,
-      black: state?.blackTime || BASE_TIME,
+      white: state?.whiteTime ?? state?.baseTime ?? BASE_TIME,
+      black: state?.blackTime ?? state?.baseTime ?? BASE_TIME,
       activeColor: state?.activeColor || "white",
       gameEnded: false,
       error: error.message,
@@ -845,7 +848,7 @@ export function getCurrentCrazyhouseTimers(state, currentTimestamp) {
 }
 
 // Generate legal moves and possible piece drops
-export function getCrazyhouseLegalMoves(fen, pocketedPieces, dropTimers, playerColor) {
+export function getCrazyhouseLegalMoves(fen, pocketedPieces, dropTimers, playerColor, currentTimestamp = Date.now()) {
   console.log("=== CRAZYHOUSE LEGAL MOVES GENERATION START ===")
   console.log("FEN:", pocketedPieces, "Player Color:", playerColor, "Drop Timers:", dropTimers)
   try {
@@ -864,7 +867,7 @@ export function getCrazyhouseLegalMoves(fen, pocketedPieces, dropTimers, playerC
       console.log(currentPlayerPocket)
       // Use the Map directly, it's already deserialized in gameController.js
       const currentPlayerDropTimers = dropTimers[playerColor]
-      const now = Date.now()
+      const now = currentTimestamp
 
       // Only the first piece in the pocket can be dropped, and only if its timer is active and not expired
       if (currentPlayerPocket.length > 0) {
@@ -1258,3 +1261,104 @@ export function resumeDropTimer(state, color, currentTimestamp) {
     delete firstPiece.remainingTime
   }
 }
+
+// Rebuild Maps and fill in any fields missing from a stored board before validating
+function prepareCrazyhouseState(state, currentTimestamp) {
+  if (!state.pocketedPieces) {
+    state.pocketedPieces = { white: [], black: [] }
+  }
+  state = deserializeCrazyhouseState(state)
+  state.whiteTime = state.whiteTime ?? state.baseTime ?? BASE_TIME
+  state.blackTime = state.blackTime ?? state.baseTime ?? BASE_TIME
+  state.increment = state.increment ?? INCREMENT_TIME
+  state.turnStartTimestamp = state.turnStartTimestamp ?? currentTimestamp
+  state.lastMoveTimestamp = state.lastMoveTimestamp ?? currentTimestamp
+  state.gameStarted = state.gameStarted ?? false
+  state.firstMoveTimestamp = state.firstMoveTimestamp ?? null
+  if (!state.frozenPieces) {
+    state.frozenPieces = { white: [], black: [] }
+  }
+  return state
+}
+
+// Refresh pocket/drop/frozen status after a move and convert Maps back for storage
+function storeCrazyhouseState(state, currentTimestamp = Date.now()) {
+  const now = currentTimestamp
+  state.pocketStatus = {
+    white: getPocketStatus(state, "white", now),
+    black: getPocketStatus(state, "black", now),
+  }
+
+  // Available drops only for the player to move
+  const activeColor = state.activeColor
+  state.availableDropPieces = {
+    white: activeColor === "white" ? getAvailableDropPieces(state, "white", now) : [],
+    black: activeColor === "black" ? getAvailableDropPieces(state, "black", now) : [],
+  }
+
+  // Frozen pieces accumulate across moves
+  const currentFrozen = state.frozenPieces || { white: [], black: [] }
+  state.frozenPieces = {
+    white: [...new Set([...currentFrozen.white, ...(state.pocketStatus.white.frozen || [])])],
+    black: [...new Set([...currentFrozen.black, ...(state.pocketStatus.black.frozen || [])])],
+  }
+
+  // Clean up paused flags that are no longer needed
+  for (const color of ["white", "black"]) {
+    for (const piece of state.pocketedPieces[color]) {
+      if (piece.timerPaused && !piece.remainingTime) {
+        delete piece.timerPaused
+        delete piece.remainingTime
+      }
+    }
+  }
+
+  return serializeCrazyhouseState(state)
+}
+
+registerVariant({
+  variant: "crazyhouse",
+  subvariant: "withTimer",
+  description: "Crazyhouse chess with 3 minutes base + 2 second increment and a 10 second limit on each drop",
+  timeControl: { type: "crazyhouse with Timer", base: BASE_TIME, increment: INCREMENT_TIME }, // 3+2
+  queueKey: "queue:crazyhouse:withTimer",
+  correspondence: false,
+  createInitialState: createCrazyhouseInitialState,
+  validateMove: validateAndApplyCrazyhouseMove,
+  getLegalMoves: (state, color, currentTimestamp = Date.now()) => {
+    // Expired drop pieces must be handled before listing drops
+    expireDropPieces(state, currentTimestamp)
+    return getCrazyhouseLegalMoves(state.fen, state.pocketedPieces, state.dropTimers, color, currentTimestamp)
+  },
+  getTimers: getCurrentCrazyhouseTimers,
+  deserialize: prepareCrazyhouseState,
+  serialize: storeCrazyhouseState,
+  // Only the side to move has a running drop timer; the other side's is paused
+  getTimerExpiry: (state) => {
+    const timers = state.dropTimers?.[state.activeColor]
+    if (!timers || timers.size === 0) return null
+    return Math.min(...timers.values())
+  },
+  expireTimers: (state, currentTimestamp) => {
+    expireDropPieces(state, currentTimestamp)
+    return state
+  },
+  getVariantData: (state) => ({ pocketedPieces: state.pocketedPieces, frozenPieces: state.frozenPieces }),
+  loadPosition: (state, { fen, pockets }, currentTimestamp = Date.now()) => {
+    applyFenToBoard(state, fen)
+    for (const color of ["white", "black"]) {
+      state.pocketedPieces[color] = (pockets?.[color] || []).map((type) => ({
+        type,
+        id: `${type}_${currentTimestamp}_${Math.random().toString(36).substr(2, 9)}`,
+        capturedAt: currentTimestamp,
+      }))
+      // Only the first piece has a drop timer; it runs for the side to move and starts paused for the other
+      const [firstPiece] = state.pocketedPieces[color]
+      if (firstPiece) {
+        state.dropTimers[color].set(firstPiece.id, currentTimestamp + DROP_TIME_LIMIT)
+        if (color !== state.activeColor) pauseDropTimer(state, color, currentTimestamp)
+      }
+    }
+    return state
+  },
+})
@@ -1,4 +1,5 @@
 import { Chess } from "chess.js"
+import { registerVariant } from "./registry.js"
 
 // Helper: Validate ObjectId format
 export function isValidObjectId(id) {
@@ -119,6 +120,10 @@ export async function safeDatabaseOperation(operation, context = "unknown") {
   }
 }
 
+// Default clock: 3 minutes + 2 seconds. A game's own clock is kept on its state (baseTime, increment).
+const DECAY_BASE_TIME = 3 * 60 * 1000
+const DECAY_CLOCK_INCREMENT = 2000
+
 // Create initial state for a 3+2 decay game
 export function createDecayInitialState() {
   try {
@@ -136,9 +141,10 @@ export function createDecayInitialState() {
       enPassantSquare,
       halfmoveClock: Number.parseInt(halfmoveClock),
       fullmoveNumber: Number.parseInt(fullmoveNumber),
-      whiteTime: 180000, // 3 minutes in ms
-      blackTime: 180000,
-      increment: 2000, // 2 seconds increment per move
+      baseTime: DECAY_BASE_TIME,
+      whiteTime: DECAY_BASE_TIME,
+      blackTime: DECAY_BASE_TIME,
+      increment: DECAY_CLOCK_INCREMENT,
       turnStartTimestamp: now,
       lastMoveTimestamp: now,
       moveHistory: [],
@@ -439,8 +445,8 @@ function validateInputs(state, move, playerColor) {
 function initializeStateDefaults(state, currentTimestamp) {
   if (typeof state.turnStartTimestamp !== "number") state.turnStartTimestamp = currentTimestamp
   if (typeof state.lastMoveTimestamp !== "number") state.lastMoveTimestamp = currentTimestamp
-  if (typeof state.whiteTime !== "number") state.whiteTime = 180000
-  if (typeof state.blackTime !== "number") state.blackTime = 180000
+  if (typeof state.whiteTime !== "number") state.whiteTime = state.baseTime ?? DECAY_BASE_TIME
+  if (typeof state.blackTime !== "number") state.blackTime = state.baseTime ?? DECAY_BASE_TIME
   if (!state.moveHistory) state.moveHistory = []
   if (typeof state.gameStarted !== "boolean") state.gameStarted = false
   if (!state.firstMoveTimestamp) state.firstMoveTimestamp = null
@@ -563,7 +569,7 @@ function updateGameStateAfterMove(state, moveResult, currentTimestamp) {
   state.fen = game.fen()
   state.lastMoveTimestamp = currentTimestamp
 
-  // Add increment to the player who just moved (3+2 time control)
+  // Add increment to the player who just moved (3+2 unless the game was created with another clock)
   if (currentPlayerBeforeMove === "w") {
     state.whiteTime += state.increment
   } else {
@@ -644,8 +650,8 @@ export function getCurrentDecayTimers(state, currentTimestamp) {
     if (!state || typeof state !== "object") {
       console.error("[DECAY_TIMER] Invalid state provided")
       return {
-        white: 180000,
-        black: 180000,
+        white: DECAY_BASE_TIME,
+        black: DECAY_BASE_TIME,
         activeColor: "white",
         gameEnded: false,
         error: "Invalid state",
@@ -676,8 +682,8 @@ export function getCurrentDecayTimers(state, currentTimestamp) {
     // For first move, don't deduct time
     if (!state.gameStarted || !state.turnStartTimestamp || state.moveHistory.length === 0) {
       return {
-        white: state.whiteTime || 180000,
-        black: state.blackTime || 180000,
+        white: state.whiteTime ?? state.baseTime ?? DECAY_BASE_TIME,
+        black: state.blackTime ?? state.baseTime ?? DECAY_BASE_TIME,
         activeColor: state.activeColor || "white",
         gameEnded: false,
         queenDecayTimers: state.queenDecayTimers,
@@ -693,8 +699,8 @@ export function getCurrentDecayTimers(state, currentTimestamp) {
     } catch (error) {
       console.error("[DECAY_TIMER] Error reconstructing game from FEN:", error)
       return {
-        white: state.whiteTime || 180000,
-        black: state.blackTime || 180000,
+        white: state.whiteTime ?? state.baseTime ?? DECAY_BASE_TIME,
+        black: state.blackTime ?? state.baseTime ?? DECAY_BASE_TIME,
         activeColor: state.activeColor || "white",
         gameEnded: false,
         error: "Invalid FEN",
@@ -705,8 +711,8 @@ export function getCurrentDecayTimers(state, currentTimestamp) {
     const currentPlayerColor = currentPlayer === "w" ? "white" : "black"
     const elapsed = currentTimestamp - state.turnStartTimestamp
 
-    let whiteTime = state.whiteTime || 180000
-    let blackTime = state.blackTime || 180000
+    let whiteTime = state.whiteTime ?? state.baseTime ?? DECAY_BASE_TIME
+    let blackTime = state.blackTime ?? state.baseTime ?? DECAY_BASE_TIME
 
     // Deduct time from current player only
     if (currentPlayer === "w") {
@@ -769,8 +775,8 @@ export function getCurrentDecayTimers(state, currentTimestamp) {
   } catch (error) {
     console.error("Error in getCurrentDecayTimers:", error)
     return {
-      white: state?.whiteTime || 180000,
-      black: state?.blackTime || 180000,
+      white: state?.whiteTime ?? state?.baseTime ?? DECAY_BASE_TIME,
+      black: state?.blackTime ?? state?.baseTime ?? DECAY_BASE_TIME,
       activeColor: state?.activeColor || "white",
       gameEnded: false,
       error: error.message,
@@ -900,3 +906,20 @@ export function updateRepetitionMap(state, gameInstance) {
     console.error("Error updating repetition map:", error)
   }
 }
+
+registerVariant({
+  variant: "decay",
+  description: "A variant of chess where pieces decay over time, adding a new layer of strategy.",
+  timeControl: { type: "decay", base: DECAY_BASE_TIME, increment: DECAY_CLOCK_INCREMENT }, // 3+2
+  queueKey: "queue:decay",
+  correspondence: false,
+  createInitialState: createDecayInitialState,
+  validateMove: validateAndApplyDecayMove,
+  getLegalMoves: (state, color) => getDecayLegalMoves(state.fen, state.frozenPieces, color),
+  getTimers: getCurrentDecayTimers,
+  getVariantData: (state) => ({
+    frozenPieces: state.frozenPieces,
+    queenDecayTimers: state.queenDecayTimers,
+    majorPieceDecayTimers: state.majorPieceDecayTimers,
+  }),
+})
@@ -0,0 +1,17 @@
+// Load every variant module so each one registers itself, then expose the registry
+import "./classic/standard.js"
+import "./classic/blitz.js"
+import "./classic/bullet.js"
+import "./crazyhouse/crazyhouseStandard.js"
+import "./crazyhouse/crazyhouseTimer.js"
+import "./crazyhouse/bughouse.js"
+import "./sixPointer.js"
+import "./decay.js"
+import "./chess960.js"
+import "./threeCheck.js"
+import "./kingOfTheHill.js"
+import "./atomic.js"
+import "./antichess.js"
+
+export { getVariant, hasVariant, listVariants, variantKey } from "./registry.js"
+export { parseCustomPosition } from "./position.js"
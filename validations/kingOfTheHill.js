@@ -0,0 +1,69 @@
+import { Chess } from "chess.js"
+import { registerVariant } from "./registry.js"
+import {
+  createInitialState,
+  validateAndApplyMove,
+  getCurrentTimers,
+  getLegalMoves,
+  checkGameStatus,
+  applyGameStatus,
+} from "./classic/standard.js"
+
+// King of the Hill: standard chess, plus a side wins by bringing its king to one of the
+// four centre squares. Moves are validated by the classic rules; only the status differs.
+
+export const HILL_SQUARES = ["d4", "e4", "d5", "e5"]
+
+// Create initial state for a 10-minute game
+export function createKingOfTheHillInitialState() {
+  return createInitialState()
+}
+
+// Game status: a king on the hill wins, otherwise the classic checks apply
+export function checkKingOfTheHillStatus(state, gameInstance) {
+  const game = gameInstance || new Chess(state.fen)
+  for (const [color, turn] of [["white", "w"], ["black", "b"]]) {
+    if (game.findPiece({ type: "k", color: turn }).some((square) => HILL_SQUARES.includes(square))) {
+      return { result: "kingOfTheHill", winnerColor: color, reason: "king reached the centre" }
+    }
+  }
+  return checkGameStatus(state, game)
+}
+
+// Validate a move with the classic validator, then check whether the king reached the hill
+export function validateAndApplyKingOfTheHillMove(state, move, playerColor, currentTimestamp) {
+  if (!currentTimestamp || typeof currentTimestamp !== "number") {
+    currentTimestamp = Date.now()
+  }
+
+  const result = validateAndApplyMove(state, move, playerColor, currentTimestamp)
+  if (!result.valid) return result
+
+  const status = checkKingOfTheHillStatus(state, new Chess(state.fen))
+  if (status.result !== result.result || status.reason !== result.reason) {
+    applyGameStatus(state, result, status, currentTimestamp)
+    state.gameState = {
+      ...state.gameState,
+      result: result.result,
+      gameEnded: state.gameEnded,
+      endReason: state.endReason,
+      endTimestamp: state.endTimestamp,
+    }
+  }
+  return result
+}
+
+export function getKingOfTheHillLegalMoves(state) {
+  return getLegalMoves(state.fen)
+}
+
+registerVariant({
+  variant: "kingofthehill",
+  description: "King of the Hill: standard chess where bringing your king to d4, e4, d5 or e5 also wins",
+  timeControl: { base: 10 * 60 * 1000, increment: 0 }, // 10+0
+  queueKey: "queue:kingofthehill",
+  createInitialState: createKingOfTheHillInitialState,
+  validateMove: validateAndApplyKingOfTheHillMove,
+  getLegalMoves: getKingOfTheHillLegalMoves,
+  getTimers: getCurrentTimers,
+})
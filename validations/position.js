@@ -0,0 +1,115 @@
+import { Chess, validateFen } from "chess.js"
+
+// Custom starting positions: FEN / PGN import shared by every variant that supports them.
+// Variants opt in by registering a loadPosition(board, position, timestamp) hook.
+
+const POCKET_PIECES = /^[pnbrqPNBRQ]*$/
+
+// Split a crazyhouse FEN with a pocket ("...RNBQKBNR[Qp] w ..." or "...RNBQKBNR/Qp w ...")
+// into a plain FEN and the pocket pieces per side (uppercase = white's pocket)
+function splitPocketFen(fen) {
+  const [placement, ...rest] = fen.trim().split(/\s+/)
+  let board = placement
+  let pocket = null
+
+  const bracketed = placement.match(/^(.*)\[([^\]]*)\]$/)
+  if (bracketed) {
+    board = bracketed[1]
+    pocket = bracketed[2]
+  } else if (placement.split("/").length === 9) {
+    const ranks = placement.split("/")
+    pocket = ranks.pop()
+    board = ranks.join("/")
+  }
+
+  if (pocket !== null && !POCKET_PIECES.test(pocket)) {
+    throw new Error(`Invalid pocket "${pocket}": only P, N, B, R and Q can be in a pocket`)
+  }
+
+  const pockets = pocket === null
+    ? null
+    : {
+        white: [...pocket].filter((p) => p === p.toUpperCase()).map((p) => p.toLowerCase()),
+        black: [...pocket].filter((p) => p === p.toLowerCase()),
+      }
+
+  // Promoted-piece markers ("Q~") only matter for captures back into the pocket
+  return { fen: [board.replace(/~/g, ""), ...rest].join(" "), pockets }
+}
+
+// Reject positions chess.js accepts structurally but that can't arise or can't be played
+function assertPlayablePosition(game, pockets = null) {
+  const fen = game.fen()
+  const sideNotToMove = game.turn() === "w" ? "b" : "w"
+  const flipped = fen.replace(/ [wb] /, ` ${sideNotToMove} `).replace(/ [a-h][36] /, " - ")
+  if (new Chess(flipped, { skipValidation: true }).inCheck()) {
+    throw new Error("Illegal position: the side not to move is in check")
+  }
+  if (game.isCheckmate()) throw new Error("Illegal position: the game is already over by checkmate")
+  if (game.isStalemate()) throw new Error("Illegal position: the game is already over by stalemate")
+  // Pocket pieces can still be dropped to mate
+  const hasPocketPieces = pockets && (pockets.white.length > 0 || pockets.black.length > 0)
+  if (!hasPocketPieces && game.isInsufficientMaterial()) throw new Error("Illegal position: neither side has mating material")
+}
+
+/**
+ * Parse a custom starting position from a FEN or a PGN.
+ * @param {{ fen?: string, pgn?: string }} input
+ * @returns {{ fen: string, initialFen: string, pockets: { white: string[], black: string[] } | null, moves: Object[] }}
+ *   fen - position to start playing from; initialFen/moves - the imported game leading up to it (PGN only)
+ */
+export function parseCustomPosition({ fen, pgn } = {}) {
+  if (fen && pgn) throw new Error("Provide either a FEN or a PGN, not both")
+  if (!fen && !pgn) throw new Error("A FEN or PGN is required")
+
+  if (fen) {
+    if (typeof fen !== "string") throw new Error("Invalid FEN: must be a string")
+    const { fen: plainFen, pockets } = splitPocketFen(fen)
+    const check = validateFen(plainFen)
+    if (!check.ok) throw new Error(check.error)
+
+    const game = new Chess(plainFen)
+    assertPlayablePosition(game, pockets)
+    return { fen: game.fen(), initialFen: game.fen(), pockets, moves: [] }
+  }
+
+  if (typeof pgn !== "string") throw new Error("Invalid PGN: must be a string")
+  if (/[PNBRQ]@[a-h][1-8]/.test(pgn)) {
+    throw new Error("PGNs with piece drops can't be imported; start from a FEN with a bracketed pocket instead")
+  }
+
+  const game = new Chess()
+  try {
+    game.loadPgn(pgn)
+  } catch (error) {
+    throw new Error(`Invalid PGN: ${error.message}`)
+  }
+
+  const moves = game.history({ verbose: true })
+  const initialFen = moves.length ? moves[0].before : game.fen()
+  assertPlayablePosition(game)
+  return { fen: game.fen(), initialFen, pockets: null, moves }
+}
+
+/**
+ * Copy a FEN onto a board's FEN-derived fields. Shared by the variant loadPosition hooks.
+ */
+export function applyFenToBoard(board, fen) {
+  const [position, activeColor, castlingRights, enPassantSquare, halfmoveClock, fullmoveNumber] = fen.split(" ")
+  board.fen = fen
+  board.position = position
+  board.activeColor = activeColor === "w" ? "white" : "black"
+  board.castlingRights = castlingRights
+  board.enPassantSquare = enPassantSquare
+  board.halfmoveClock = Number.parseInt(halfmoveClock)
+  board.fullmoveNumber = Number.parseInt(fullmoveNumber)
+  return board
+}
+
+// loadPosition hook for variants without pockets (classic subvariants)
+export function loadStandardPosition(board, { fen, pockets }) {
+  if (pockets && (pockets.white.length || pockets.black.length)) {
+    throw new Error("Pocket pieces are only allowed in crazyhouse")
+  }
+  return applyFenToBoard(board, fen)
+}
@@ -0,0 +1,97 @@
+// Variant registry: every playable variant/subvariant registers a definition here
+// and controllers resolve initial state, validation, legal moves, timers and
+// serialization through getVariant() instead of branching on names.
+
+const variants = new Map()
+
+const REQUIRED_HOOKS = ["createInitialState", "validateMove", "getLegalMoves", "getTimers"]
+
+// Build the lookup key for a variant/subvariant pair ("classic:blitz", "decay")
+export function variantKey(variant, subvariant) {
+  return subvariant ? `${variant}:${subvariant}` : variant
+}
+
+/**
+ * Register a variant definition.
+ * @param {Object} definition
+ * @param {string} definition.variant - Variant name (e.g. "classic")
+ * @param {string|null} [definition.subvariant] - Subvariant name (e.g. "blitz")
+ * @param {string} definition.description
+ * @param {Object} definition.timeControl - { base, increment, perMove?, type? } in ms; the default clock. A game may
+ *   be created with another base+increment, which is set on the board as baseTime/increment for the validators to read
+ * @param {string} definition.queueKey - Redis sorted-set key prefix for the regular matchmaking queues, one per
+ *   time-control category
+ * @param {number} [definition.playersPerGame=2] - Players matched into one game; 4 for team variants (bughouse),
+ *   which use the team queue and stay out of tournaments
+ * @param {boolean} [definition.correspondence=true] - Whether the variant can be played by correspondence (days per
+ *   move); false for variants whose rules run on real-time timers (per-move points, decay, drop timers) or on two boards
+ * @param {Function} definition.createInitialState - ({ startPositionId }?) => board state; startPositionId picks
+ *   a numbered start position for variants that have them (chess960) and is ignored by the rest
+ * @param {Function} definition.validateMove - (board, move, color, timestamp) => validator result
+ * @param {Function} definition.getLegalMoves - (board, color, timestamp) => verbose move list
+ * @param {Function} definition.getTimers - (board, timestamp) => { white, black, activeColor, gameEnded }
+ * @param {Function} [definition.deserialize] - (board, timestamp) => board ready for validation
+ * @param {Function} [definition.serialize] - (board, timestamp) => board ready for storage
+ * @param {Function} [definition.getTimerExpiry] - (board) => earliest variant-specific timer deadline (ms) or null
+ * @param {Function} [definition.expireTimers] - (board, timestamp) => board with due variant timers applied
+ * @param {Function} [definition.getVariantData] - (storedBoard) => variant-specific extras for the game record, or null
+ * @param {Function} [definition.loadPosition] - (board, { fen, pockets }, timestamp) => board set up from an imported
+ *   position (see position.js); variants without it don't support custom starting positions
+ */
+export function registerVariant(definition) {
+  if (!definition || !definition.variant) {
+    throw new Error("Variant definition must have a variant name")
+  }
+  for (const hook of REQUIRED_HOOKS) {
+    if (typeof definition[hook] !== "function") {
+      throw new Error(`Variant ${variantKey(definition.variant, definition.subvariant)} is missing ${hook}()`)
+    }
+  }
+
+  const key = variantKey(definition.variant, definition.subvariant)
+  if (variants.has(key)) {
+    throw new Error(`Variant ${key} is already registered`)
+  }
+
+  variants.set(key, {
+    subvariant: null,
+    playersPerGame: 2,
+    correspondence: true,
+    serialize: (board) => board,
+    deserialize: (board) => board,
+    getTimerExpiry: () => null,
+    expireTimers: (board) => board,
+    getVariantData: () => null,
+    ...definition,
+    key,
+  })
+}
+
+// Find a definition; variants without subvariants ignore whatever subvariant the client sent
+function findVariant(variant, subvariant) {
+  if (!variant) return null
+  if (subvariant && variants.has(variantKey(variant, subvariant))) {
+    return variants.get(variantKey(variant, subvariant))
+  }
+  const plain = variants.get(variant)
+  return plain && !plain.subvariant ? plain : null
+}
+
+// Check whether a variant/subvariant pair is registered
+export function hasVariant(variant, subvariant) {
+  return findVariant(variant, subvariant) !== null
+}
+
+// Resolve a registered variant definition, throwing for unknown variants
+export function getVariant(variant, subvariant) {
+  const definition = findVariant(variant, subvariant)
+  if (!definition) {
+    throw new Error(`Unknown variant: ${variant}${subvariant ? `/${subvariant}` : ""}`)
+  }
+  return definition
+}
+
+// List every registered definition in registration order
+export function listVariants() {
+  return [...variants.values()]
+}
@@ -1,4 +1,5 @@
 import { Chess } from "chess.js"
+import { registerVariant } from "./registry.js"
 
 // Helper: Validate ObjectId format
 export function isValidObjectId(id) {
@@ -896,3 +897,16 @@ export function updateRepetitionMap(state, gameInstance) {
     console.error("Error updating repetition map:", error)
   }
 }
+
+registerVariant({
+  variant: "sixpointer",
+  description: "6-Point Chess: Each player gets 30 seconds per move, no base time.",
+  timeControl: { type: "sixpointer", base: 0, increment: 0, perMove: 30000 }, // 30 seconds per move
+  queueKey: "queue:sixpointer",
+  correspondence: false,
+  createInitialState,
+  validateMove: validateAndApplyMove,
+  getLegalMoves: (state) => getLegalMoves(state.fen),
+  getTimers: getCurrentTimers,
+  getVariantData: (state) => ({ points: state.points, movesPlayed: state.movesPlayed }),
+})
@@ -0,0 +1,129 @@
+import { Chess } from "chess.js"
+import { registerVariant } from "./registry.js"
+import {
+  createInitialState,
+  validateAndApplyMove,
+  getCurrentTimers,
+  getLegalMoves,
+  checkGameStatus,
+  applyGameStatus,
+  updateRepetitionMap,
+} from "./classic/standard.js"
+
+// Three-check: standard chess where the first side to give check three times wins.
+// The counts live on state.checks and are appended to the FEN as "+N+M" (checks given by
+// white, then by black); the classic helpers are handed the plain six-field FEN.
+
+export const CHECKS_TO_WIN = 3
+
+const CHECK_COUNTS = /^\+(\d+)\+(\d+)$/
+
+/**
+ * Split a three-check FEN into the plain FEN and the checks each side has given
+ * @param {string} fen - "<placement> <turn> <castling> <ep> <halfmove> <fullmove> +N+M"
+ * @returns {{ fen: string, checks: { white: number, black: number } }}
+ */
+export function splitThreeCheckFen(fen) {
+  const fields = fen.trim().split(/\s+/)
+  const counts = fields.length > 6 ? fields[6].match(CHECK_COUNTS) : null
+  return {
+    fen: fields.slice(0, 6).join(" "),
+    checks: counts ? { white: Number(counts[1]), black: Number(counts[2]) } : { white: 0, black: 0 },
+  }
+}
+
+export function composeThreeCheckFen(fen, checks) {
+  return `${fen} +${checks.white}+${checks.black}`
+}
+
+// Repetitions are counted on the position with the check counts, without the move counters:
+// the same position after another check has been given is not a repetition
+function threeCheckRepetitionKey(fen, checks) {
+  return composeThreeCheckFen(splitThreeCheckFen(fen).fen.split(" ").slice(0, 4).join(" "), checks)
+}
+
+// Create initial state for a 10-minute game with no checks given
+export function createThreeCheckInitialState() {
+  const state = createInitialState()
+  state.checks = { white: 0, black: 0 }
+  state.fen = composeThreeCheckFen(state.fen, state.checks)
+  return state
+}
+
+// Game status: a third check wins outright, otherwise the classic checks apply
+export function checkThreeCheckStatus(state, gameInstance) {
+  for (const color of ["white", "black"]) {
+    if ((state.checks?.[color] || 0) >= CHECKS_TO_WIN) {
+      return { result: "threeCheck", winnerColor: color, reason: "three checks" }
+    }
+  }
+
+  const status = checkGameStatus(state, gameInstance, threeCheckRepetitionKey(state.fen, state.checks || { white: 0, black: 0 }))
+  // A lone minor piece can still give three checks, so only bare kings are a dead draw
+  if (status.reason === "insufficient material" && gameInstance.board().flat().filter(Boolean).length > 2) {
+    return { result: "ongoing", winnerColor: null }
+  }
+  return status
+}
+
+// Validate a move with the classic validator, then count the check it gave
+export function validateAndApplyThreeCheckMove(state, move, playerColor, currentTimestamp) {
+  if (!state || typeof state.fen !== "string") {
+    return validateAndApplyMove(state, move, playerColor, currentTimestamp)
+  }
+  if (!currentTimestamp || typeof currentTimestamp !== "number") {
+    currentTimestamp = Date.now()
+  }
+
+  const fenBefore = state.fen
+  const { fen, checks } = splitThreeCheckFen(state.fen)
+  state.fen = fen
+  state.checks = state.checks || checks
+
+  const result = validateAndApplyMove(state, move, playerColor, currentTimestamp)
+  if (result.valid) {
+    const game = new Chess(state.fen)
+    if (game.inCheck()) state.checks[playerColor] += 1
+
+    // The classic validator counted the position without the check counts; count it with them
+    const plainCount = state.repetitionMap.get(state.fen) || 0
+    if (plainCount > 1) state.repetitionMap.set(state.fen, plainCount - 1)
+    else state.repetitionMap.delete(state.fen)
+    updateRepetitionMap(state, game, threeCheckRepetitionKey(state.fen, state.checks))
+
+    const status = checkThreeCheckStatus(state, game)
+    if (status.result !== result.result || status.reason !== result.reason) {
+      applyGameStatus(state, result, status, currentTimestamp)
+    }
+  }
+
+  state.fen = composeThreeCheckFen(state.fen, state.checks)
+  if (result.valid) {
+    // Sent out with game:move, so clients can update the counters without a resync
+    result.move.checks = { ...state.checks }
+    result.move.before = fenBefore
+    result.move.after = state.fen
+    state.gameState = {
+      ...state.gameState,
+      checks: { ...state.checks },
+      result: result.result,
+      drawReason: result.reason || null,
+      gameEnded: state.gameEnded,
+      endReason: state.endReason,
+      endTimestamp: state.endTimestamp,
+    }
+  }
+  return result
+}
+
+registerVariant({
+  variant: "threecheck",
+  description: "Three-check: standard chess where giving check three times also wins",
+  timeControl: { base: 10 * 60 * 1000, increment: 0 }, // 10+0
+  queueKey: "queue:threecheck",
+  createInitialState: createThreeCheckInitialState,
+  validateMove: validateAndApplyThreeCheckMove,
+  getLegalMoves: (state) => getLegalMoves(splitThreeCheckFen(state.fen).fen),
+  getTimers: getCurrentTimers,
+  getVariantData: (state) => ({ checks: { ...state.checks } }),
+})